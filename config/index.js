@@ -0,0 +1,234 @@
+// config/index.js
+//
+// Central configuration. The environment is parsed and validated once
+// against config/schema.js with the profile picked by APP_ENV
+// (config/profiles.js); everything wrong is reported together in one
+// ConfigError so a bad deploy fails at boot instead of on the first payment.
+//
+// Values are exposed camel-cased and typed: PORT -> config.port (number),
+// RAZORPAY_KEY_ID -> config.razorpayKeyId, FIREBASE_SERVICE_ACCOUNT -> the
+// parsed key. Use getConfig() anywhere; server.js calls loadConfig() first.
+const { SCHEMA, RULES, WARNINGS } = require('./schema');
+const { PROFILES, PROFILE_NAMES } = require('./profiles');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const RATE_LIMIT_OVERRIDE = /^RATE_LIMIT_(?!STORE$)([A-Z0-9_]+)$/;
+
+class ConfigError extends Error {
+    constructor(appEnv, problems) {
+        super(`Invalid configuration for ${appEnv}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.appEnv = appEnv;
+        this.problems = problems;
+    }
+}
+
+function camelCase(name) {
+    return name.toLowerCase().replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+function resolve(option, values, profile) {
+    return typeof option === 'function' ? option(values, profile) : option;
+}
+
+function checkRange(rule, number) {
+    if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+    return { value: number };
+}
+
+const parsers = {
+    string(rule, raw) {
+        if (rule.min !== undefined && raw.length < rule.min) return { error: `must be at least ${rule.min} characters` };
+        if (rule.pattern && !rule.pattern.test(raw)) return { error: 'has an invalid format' };
+        return { value: raw };
+    },
+
+    integer(rule, raw) {
+        const number = Number(raw);
+        if (!/^-?\d+$/.test(raw) || !Number.isSafeInteger(number)) return { error: 'must be a whole number' };
+        return checkRange(rule, number);
+    },
+
+    number(rule, raw) {
+        const number = Number(raw);
+        if (!Number.isFinite(number)) return { error: 'must be a number' };
+        return checkRange(rule, number);
+    },
+
+    boolean(rule, raw) {
+        if (['true', '1', 'yes'].includes(raw.toLowerCase())) return { value: true };
+        if (['false', '0', 'no'].includes(raw.toLowerCase())) return { value: false };
+        return { error: 'must be true or false' };
+    },
+
+    enum(rule, raw) {
+        return rule.values.includes(raw) ? { value: raw } : { error: `must be one of: ${rule.values.join(', ')}` };
+    },
+
+    email(rule, raw) {
+        const email = raw.toLowerCase();
+        return EMAIL_PATTERN.test(email) ? { value: email } : { error: 'must be an email address' };
+    },
+
+    url(rule, raw) {
+        try {
+            const url = new URL(raw);
+            return ['http:', 'https:'].includes(url.protocol) ? { value: raw } : { error: 'must be an http(s) URL' };
+        } catch (error) {
+            return { error: 'must be a URL' };
+        }
+    },
+
+    json(rule, raw) {
+        let value;
+        try {
+            value = JSON.parse(raw);
+        } catch (error) {
+            return { error: 'must be valid JSON' };
+        }
+        if (!value || typeof value !== 'object') return { error: 'must be a JSON object' };
+
+        const problem = rule.check ? rule.check(value) : null;
+        return problem ? { error: problem } : { value };
+    },
+
+    // Any format Date.parse understands; stored as an ISO string
+    date(rule, raw) {
+        const time = Date.parse(raw);
+        return Number.isNaN(time)
+            ? { error: 'must be a date such as 2025-01-31T18:00:00Z' }
+            : { value: new Date(time).toISOString() };
+    },
+
+    // Comma separated
+    list(rule, raw) {
+        const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+        const invalid = rule.pattern ? items.filter(item => !rule.pattern.test(item)) : [];
+        return invalid.length ? { error: `has invalid entries: ${invalid.join(', ')}` } : { value: items };
+    }
+};
+
+function describe(name, rule, raw, message) {
+    return rule.secret ? `${name} ${message}` : `${name} ${message} (got "${raw}")`;
+}
+
+function profileName(env) {
+    if (env.APP_ENV) return env.APP_ENV;
+    return env.NODE_ENV === 'production' ? 'production' : 'development';
+}
+
+// RATE_LIMIT_<NAME>=off or <max>/<window>, e.g. RATE_LIMIT_LOG_ERROR=100/5m
+function parseRateLimitOverrides(env, problems) {
+    const overrides = {};
+
+    for (const [name, raw] of Object.entries(env)) {
+        const match = name.match(RATE_LIMIT_OVERRIDE);
+        if (!match) continue;
+
+        const value = raw.trim();
+        if (value !== 'off' && !/^[1-9]\d*\/\d+[smhd]$/.test(value)) {
+            problems.push(describe(name, {}, raw, 'must be "off" or <max>/<window> such as 100/15m'));
+            continue;
+        }
+        overrides[match[1]] = value;
+    }
+
+    return overrides;
+}
+
+// Parse and check `env`. Returns { config, warnings, problems }; it is up to
+// the caller to refuse to start when there are problems.
+function validateEnvironment(env = process.env) {
+    const appEnv = profileName(env);
+    const profile = PROFILES[appEnv];
+
+    if (!profile) {
+        return { config: null, warnings: [], problems: [`APP_ENV must be one of: ${PROFILE_NAMES.join(', ')} (got "${appEnv}")`] };
+    }
+
+    const values = {};
+    const problems = [];
+
+    for (const [name, rule] of Object.entries(SCHEMA)) {
+        const raw = typeof env[name] === 'string' ? env[name].trim() : '';
+
+        if (raw === '') {
+            if (resolve(rule.required, values, profile)) {
+                problems.push(`${name} is required`);
+                continue;
+            }
+            const fallback = name in profile.defaults ? profile.defaults[name] : resolve(rule.default, values, profile);
+            values[name] = fallback === undefined ? null : fallback;
+            continue;
+        }
+
+        const result = parsers[rule.type](rule, raw);
+        if (result.error) {
+            problems.push(describe(name, rule, raw, result.error));
+            values[name] = null;
+        } else {
+            values[name] = result.value;
+        }
+    }
+
+    const rateLimitOverrides = parseRateLimitOverrides(env, problems);
+
+    RULES.forEach((rule) => {
+        const problem = rule(values, profile);
+        if (problem) problems.push(problem);
+    });
+
+    const warnings = WARNINGS.map(rule => rule(values, profile)).filter(Boolean);
+
+    const config = { appEnv, rateLimitOverrides };
+    for (const [name, value] of Object.entries(values)) {
+        config[camelCase(name)] = value;
+    }
+
+    return { config: Object.freeze(config), warnings, problems };
+}
+
+let loaded = null;
+
+// Validate the environment and make it the process configuration. Throws a
+// ConfigError listing every problem.
+function loadConfig(env = process.env) {
+    const { config, warnings, problems } = validateEnvironment(env);
+    if (problems.length) {
+        throw new ConfigError(config ? config.appEnv : profileName(env), problems);
+    }
+
+    loaded = { config, warnings };
+    return config;
+}
+
+function getConfig() {
+    return loaded ? loaded.config : loadConfig();
+}
+
+function getConfigWarnings() {
+    return loaded ? loaded.warnings : [];
+}
+
+// The configuration with secrets reduced to whether they are set, for logs
+function redactConfig(config = getConfig()) {
+    const redacted = { appEnv: config.appEnv };
+
+    for (const [name, rule] of Object.entries(SCHEMA)) {
+        const key = camelCase(name);
+        redacted[key] = rule.secret ? (config[key] ? '[set]' : null) : config[key];
+    }
+    redacted.rateLimitOverrides = config.rateLimitOverrides;
+
+    return redacted;
+}
+
+module.exports = {
+    ConfigError,
+    validateEnvironment,
+    loadConfig,
+    getConfig,
+    getConfigWarnings,
+    redactConfig
+};
@@ -0,0 +1,35 @@
+// config/profiles.js
+//
+// Per-environment profiles, picked with APP_ENV (defaults to production when
+// NODE_ENV=production and to development otherwise).
+//   strict    secrets and credentials for the real backends are required
+//             instead of only warned about
+//   live      in-process stand-ins (memory storage, mock gateway, file mail
+//             transport) are refused
+//   defaults  default values that differ from the schema's
+const PROFILES = {
+    development: {
+        strict: false,
+        live: false,
+        defaults: {
+            LOG_FORMAT: 'pretty'
+        }
+    },
+    staging: {
+        strict: true,
+        live: false,
+        defaults: {}
+    },
+    production: {
+        strict: true,
+        live: true,
+        defaults: {}
+    }
+};
+
+const PROFILE_NAMES = Object.keys(PROFILES);
+
+module.exports = {
+    PROFILES,
+    PROFILE_NAMES
+};
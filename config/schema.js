@@ -0,0 +1,152 @@
+// config/schema.js
+//
+// Every environment variable the backend reads. Variables are parsed in this
+// order, so `required` and `default` may be functions of the values parsed
+// before them and of the profile: (values, profile) => ...
+// `secret` values are never logged or echoed in error messages.
+const os = require('os');
+const path = require('path');
+
+const vars = {
+    string: (options = {}) => ({ type: 'string', ...options }),
+    integer: (options = {}) => ({ type: 'integer', ...options }),
+    number: (options = {}) => ({ type: 'number', ...options }),
+    boolean: (options = {}) => ({ type: 'boolean', ...options }),
+    enum: (values, options = {}) => ({ type: 'enum', values, ...options }),
+    email: (options = {}) => ({ type: 'email', ...options }),
+    url: (options = {}) => ({ type: 'url', ...options }),
+    json: (options = {}) => ({ type: 'json', ...options }),
+    date: (options = {}) => ({ type: 'date', ...options }),
+    list: (options = {}) => ({ type: 'list', ...options })
+};
+
+const usesRazorpay = values => values.PAYMENT_GATEWAY === 'razorpay';
+const strictRazorpay = (values, profile) => profile.strict && usesRazorpay(values);
+
+const SCHEMA = {
+    // Runtime
+    NODE_ENV: vars.string(),
+    PORT: vars.integer({ min: 1, max: 65535, default: 5000 }),
+    VERCEL: vars.boolean({ default: false }),
+    // Number of proxy hops in front of the server, so req.ip is the client
+    TRUST_PROXY: vars.integer({ min: 0, default: values => (values.VERCEL ? 1 : 0) }),
+    LOG_LEVEL: vars.enum(['debug', 'info', 'warn', 'error'], { default: 'info' }),
+    LOG_FORMAT: vars.enum(['json', 'pretty'], { default: 'json' }),
+    // Event used when an older client doesn't send an eventId
+    DEFAULT_EVENT_ID: vars.string({ pattern: /^[A-Za-z0-9_-]+$/ }),
+
+    // Storage (storage/index.js)
+    STORAGE_BACKEND: vars.enum(['rtdb', 'memory'], { default: 'rtdb' }),
+    STORAGE_FILE: vars.string(),
+    STORAGE_SEED: vars.string(),
+    FIREBASE_SERVICE_ACCOUNT: vars.json({
+        secret: true,
+        required: values => values.STORAGE_BACKEND === 'rtdb',
+        check: account => (['project_id', 'client_email', 'private_key'].every(key => account[key])
+            ? null
+            : 'must be a service account key with project_id, client_email and private_key')
+    }),
+
+    // Payments (payments/)
+    PAYMENT_GATEWAY: vars.enum(['razorpay', 'mock'], { default: 'razorpay' }),
+    RAZORPAY_KEY_ID: vars.string({ pattern: /^rzp_(test|live)_[A-Za-z0-9]+$/, required: strictRazorpay }),
+    RAZORPAY_KEY_SECRET: vars.string({ secret: true, required: strictRazorpay }),
+    RAZORPAY_WEBHOOK_SECRET: vars.string({ secret: true, required: strictRazorpay }),
+    // Webhook events created longer ago than this are rejected. Razorpay
+    // retries a failed delivery for up to 24 hours.
+    WEBHOOK_MAX_AGE_MS: vars.integer({ min: 60 * 1000, default: 25 * 60 * 60 * 1000 }),
+    MOCK_GATEWAY_SECRET: vars.string({ secret: true, default: 'mock_gateway_secret' }),
+    MOCK_GATEWAY_WEBHOOK_URL: vars.url({
+        default: values => `http://127.0.0.1:${values.PORT}/api/inspiringshereen-webhook`
+    }),
+    MOCK_GATEWAY_REFUND_DELAY_MS: vars.integer({ min: 0, default: 1000 }),
+
+    // Email (services/mailTransport.js, services/mailService.js)
+    MAIL_TRANSPORT: vars.enum(['gmail', 'smtp', 'file'], { default: 'gmail' }),
+    // Sender of every email, and where admin notifications go
+    EMAIL_USER: vars.email({ required: (values, profile) => profile.strict }),
+    EMAIL_PASSWORD: vars.string({
+        secret: true,
+        required: (values, profile) => profile.strict && values.MAIL_TRANSPORT === 'gmail'
+    }),
+    SMTP_HOST: vars.string({ required: values => values.MAIL_TRANSPORT === 'smtp' }),
+    SMTP_PORT: vars.integer({ min: 1, max: 65535, default: 587 }),
+    SMTP_SECURE: vars.boolean({ default: false }),
+    SMTP_USER: vars.string(),
+    SMTP_PASSWORD: vars.string({ secret: true, required: values => !!values.SMTP_USER }),
+    MAIL_SINK_DIR: vars.string({ default: path.join(os.tmpdir(), 'phonicsflyer-mail') }),
+    // Background timers of a long-lived server; 0 turns them off
+    MAIL_WORKER_INTERVAL_MS: vars.integer({ min: 0, default: 60 * 1000 }),
+    REMINDER_INTERVAL_MS: vars.integer({ min: 0, default: 5 * 60 * 1000 }),
+    REMINDER_OFFSETS: vars.list({ pattern: /^\d+[mhd]$/, default: ['24h', '1h'] }),
+
+    // Shared secrets
+    TICKET_SECRET: vars.string({ secret: true, min: 16 }),
+    FORM_TOKEN_SECRET: vars.string({ secret: true, min: 16 }),
+    CRON_SECRET: vars.string({ secret: true, min: 16 }),
+    METRICS_TOKEN: vars.string({ secret: true, min: 16 }),
+
+    // First admin (services/adminSetupService.js). The HTTP route is off in
+    // production by default; scripts/setup-admin.js does the same from a shell.
+    ADMIN_SETUP_ROUTE: vars.boolean({ default: (values, profile) => !profile.live }),
+    SETUP_TOKEN: vars.string({ secret: true, min: 32 }),
+    SETUP_TOKEN_EXPIRES_AT: vars.date({ required: values => !!values.SETUP_TOKEN }),
+
+    // Rate limits (middleware/rateLimit.js); RATE_LIMIT_<NAME> overrides are
+    // collected separately
+    RATE_LIMIT_STORE: vars.enum(['memory', 'rtdb'], { default: values => (values.VERCEL ? 'rtdb' : 'memory') }),
+
+    // Health checks (services/healthService.js)
+    HEALTH_CHECK_TIMEOUT_MS: vars.integer({ min: 100, default: 5000 }),
+    HEALTH_CACHE_TTL_MS: vars.integer({ min: 0, default: 30 * 1000 }),
+
+    // Invoices (services/invoiceService.js)
+    BUSINESS_NAME: vars.string({ default: 'Inspiring Shereen' }),
+    BUSINESS_ADDRESS: vars.string(),
+    BUSINESS_EMAIL: vars.email({ default: values => values.EMAIL_USER }),
+    BUSINESS_GSTIN: vars.string({ pattern: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/ }),
+    BUSINESS_STATE: vars.string(),
+    BUSINESS_STATE_CODE: vars.string({ pattern: /^\d{2}$/ }),
+    GST_RATE: vars.number({ min: 0, max: 28, default: 18 }),
+    INVOICE_PREFIX: vars.string({ pattern: /^[A-Za-z0-9-]{1,10}$/, default: 'INV' }),
+    INVOICE_SAC: vars.string({ pattern: /^\d{6}$/, default: '999293' })
+};
+
+// Checks across variables. Each returns a message or null; RULES stop the
+// startup, WARNINGS are only logged.
+const RULES = [
+    (values, profile) => (profile.live && values.STORAGE_BACKEND === 'memory'
+        ? 'STORAGE_BACKEND=memory keeps data in the process and cannot be used in this environment'
+        : null),
+    (values, profile) => (profile.live && values.PAYMENT_GATEWAY === 'mock'
+        ? 'PAYMENT_GATEWAY=mock cannot be used in this environment'
+        : null),
+    (values, profile) => (profile.live && values.MAIL_TRANSPORT === 'file'
+        ? 'MAIL_TRANSPORT=file never delivers email and cannot be used in this environment'
+        : null),
+    (values, profile) => (profile.live && usesRazorpay(values) && /^rzp_test_/.test(values.RAZORPAY_KEY_ID || '')
+        ? 'RAZORPAY_KEY_ID is a test key'
+        : null)
+];
+
+const WARNINGS = [
+    values => (usesRazorpay(values) && !values.RAZORPAY_WEBHOOK_SECRET
+        ? 'RAZORPAY_WEBHOOK_SECRET is not set; every webhook is rejected'
+        : null),
+    values => (usesRazorpay(values) && (!values.RAZORPAY_KEY_ID || !values.RAZORPAY_KEY_SECRET)
+        ? 'RAZORPAY_KEY_ID/RAZORPAY_KEY_SECRET are not set; payments are unavailable'
+        : null),
+    values => (!values.EMAIL_USER ? 'EMAIL_USER is not set; emails have no sender' : null),
+    values => (!values.TICKET_SECRET ? 'TICKET_SECRET is not set; confirmations are sent without tickets' : null),
+    values => (!values.FORM_TOKEN_SECRET ? 'FORM_TOKEN_SECRET is not set; form timing checks are off' : null),
+    values => (values.ADMIN_SETUP_ROUTE && values.SETUP_TOKEN && Date.parse(values.SETUP_TOKEN_EXPIRES_AT) < Date.now()
+        ? 'SETUP_TOKEN_EXPIRES_AT has passed; /api/setup-admin rejects every attempt'
+        : null),
+    values => (values.VERCEL && !values.CRON_SECRET ? 'CRON_SECRET is not set; the Vercel crons are rejected' : null)
+];
+
+module.exports = {
+    SCHEMA,
+    RULES,
+    WARNINGS
+};
@@ -0,0 +1,28 @@
+// middleware/audit.js
+//
+// Helper for routes to record what an admin just did (services/auditService.js)
+const { recordAudit } = require('../services/auditService');
+const { logger } = require('../services/logger');
+
+function auditActor(req) {
+    return {
+        uid: req.user ? req.user.uid : null,
+        email: req.user ? req.user.email : null,
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null
+    };
+}
+
+// Never throws: the action has already happened, so a failed write to the
+// audit log is reported in the server log instead of failing the request
+async function audit(req, action, { targetType, targetId, before, after, details } = {}) {
+    try {
+        await recordAudit({ actor: auditActor(req), action, targetType, targetId, before, after, details });
+    } catch (error) {
+        logger.error('Failed to write audit log entry', { action, error });
+    }
+}
+
+module.exports = {
+    audit
+};
@@ -0,0 +1,158 @@
+// middleware/auth.js
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { isMemoryStorage } = require('../storage');
+const { getUser } = require('../repositories/userRepository');
+const { getUserRoles, getPermissions } = require('../services/roleService');
+const { logger } = require('../services/logger');
+const { getConfig } = require('../config');
+
+// Offline development (STORAGE_BACKEND=memory and no Firebase project):
+// `Bearer dev:<uid>` signs in as users/{uid} from the stored data, and its
+// roles stand in for the custom claims. Only enabled in development.
+function isDevAuth() {
+    return isMemoryStorage() && admin.apps.length === 0 && getConfig().appEnv === 'development';
+}
+
+async function verifyDevToken(token) {
+    const uid = token.startsWith('dev:') ? token.slice(4) : '';
+    const user = uid ? await getUser(uid) : null;
+    if (!user) {
+        throw new Error('Unknown development user');
+    }
+
+    return { uid, email: user.email };
+}
+
+// Firebase Auth Middleware
+const authenticateFirebase = async (req, res, next) => {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({ error: 'Unauthorized: No valid authentication token provided' });
+        }
+
+        const token = authHeader.split('Bearer ')[1];
+
+        // Verify the Firebase ID token
+        const decodedToken = isDevAuth() ? await verifyDevToken(token) : await admin.auth().verifyIdToken(token);
+        req.user = decodedToken;
+
+        next();
+    } catch (error) {
+        logger.error('Authentication error', { error });
+        return res.status(401).json({ error: 'Unauthorized: Invalid token' });
+    }
+};
+
+// Like authenticateFirebase, but lets anonymous requests through. A token
+// that is sent must still be valid.
+const optionalAuth = async (req, res, next) => {
+    if (!req.headers.authorization) {
+        return next();
+    }
+
+    return authenticateFirebase(req, res, next);
+};
+
+// Load the signed-in user's admin roles onto req.admin
+async function loadAdmin(req) {
+    if (!req.admin) {
+        const roles = await getUserRoles(req.user.uid);
+        req.admin = { uid: req.user.uid, roles, permissions: getPermissions(roles) };
+    }
+    return req.admin;
+}
+
+// Any admin role
+const verifyAdmin = async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Unauthorized: Authentication required' });
+    }
+
+    try {
+        const { roles } = await loadAdmin(req);
+
+        if (!roles.length) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required' });
+        }
+
+        next();
+    } catch (error) {
+        logger.error('Admin verification error', { error });
+        return res.status(500).json({ error: 'Error verifying admin status' });
+    }
+};
+
+// Admin route guard: the user needs a role that grants `permission`
+// (see services/roleService.js)
+const requirePermission = permission => async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Unauthorized: Authentication required' });
+    }
+
+    try {
+        const { permissions } = await loadAdmin(req);
+
+        if (!permissions.includes(permission)) {
+            return res.status(403).json({ error: `Forbidden: requires the ${permission} permission` });
+        }
+
+        next();
+    } catch (error) {
+        logger.error('Permission check error', { error });
+        return res.status(500).json({ error: 'Error verifying admin permissions' });
+    }
+};
+
+// Scheduled jobs (Vercel Cron or any external scheduler) authenticate with
+// `Authorization: Bearer <CRON_SECRET>`
+const verifyCronSecret = (req, res, next) => {
+    const secret = getConfig().cronSecret;
+
+    if (!secret) {
+        logger.error('Cron request rejected: CRON_SECRET is not configured');
+        return res.status(503).json({ error: 'Cron endpoints are not configured' });
+    }
+
+    const provided = Buffer.from(req.headers.authorization || '');
+    const expected = Buffer.from(`Bearer ${secret}`);
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+};
+
+// Prometheus scrapes /metrics with `Authorization: Bearer <METRICS_TOKEN>`.
+// Without a token the endpoint is only open in development.
+const verifyMetricsToken = (req, res, next) => {
+    const token = getConfig().metricsToken;
+
+    if (!token) {
+        if (getConfig().appEnv !== 'development') {
+            return res.status(503).json({ error: 'Metrics endpoint is not configured' });
+        }
+        return next();
+    }
+
+    const provided = Buffer.from(req.headers.authorization || '');
+    const expected = Buffer.from(`Bearer ${token}`);
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+};
+
+module.exports = {
+    authenticateFirebase,
+    optionalAuth,
+    verifyAdmin,
+    requirePermission,
+    verifyCronSecret,
+    verifyMetricsToken
+};
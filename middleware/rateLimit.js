@@ -0,0 +1,179 @@
+// middleware/rateLimit.js
+//
+// Fixed-window rate limiting for public endpoints:
+//
+//   const contactLimiter = rateLimit({ name: 'contact', max: 5, window: '15m' });
+//   const contactEmailLimiter = rateLimit({ name: 'contact-email', max: 3, window: '1h', key: byEmail });
+//
+// Limits can be changed without a deploy with RATE_LIMIT_<NAME>=<max>/<window>,
+// e.g. RATE_LIMIT_CONTACT=10/15m, or switched off with RATE_LIMIT_<NAME>=off.
+//
+// Counters live in memory by default, which only works for a single long-
+// running instance. Serverless deployments (VERCEL is set) or
+// RATE_LIMIT_STORE=rtdb keep them in RTDB under rateLimits/{name}/{key hash}
+// so every instance sees the same counts.
+const crypto = require('crypto');
+const { getDatabase } = require('../storage');
+const { logger } = require('../services/logger');
+const { getConfig } = require('../config');
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function parseWindow(window) {
+    const match = String(window).match(/^(\d+)([smhd])$/);
+    if (!match) {
+        throw new Error(`Invalid rate limit window: ${window}`);
+    }
+    return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+class MemoryStore {
+    constructor() {
+        this.counters = new Map();
+
+        // Drop expired windows now and then so the map doesn't grow forever
+        this.sweeper = setInterval(() => this.prune(), 60 * 1000);
+        this.sweeper.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            this.counters.set(key, counter);
+        }
+        counter.count += 1;
+
+        return { count: counter.count, resetAt: counter.resetAt };
+    }
+
+    async prune(now = Date.now()) {
+        let removed = 0;
+        this.counters.forEach((counter, key) => {
+            if (counter.resetAt <= now) {
+                this.counters.delete(key);
+                removed += 1;
+            }
+        });
+        return removed;
+    }
+}
+
+class RtdbStore {
+    constructor(path = 'rateLimits') {
+        this.path = path;
+    }
+
+    ref(key) {
+        // Keys are IPs and emails, which RTDB doesn't allow in paths (and
+        // which don't need to be readable there)
+        const [name, ...rest] = key.split(':');
+        const hash = crypto.createHash('sha256').update(rest.join(':')).digest('hex').slice(0, 32);
+        return getDatabase().ref(this.path).child(name).child(hash);
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+
+        const result = await this.ref(key).transaction((current) => {
+            if (!current || current.resetAt <= now) {
+                return { count: 1, resetAt: now + windowMs };
+            }
+            return { count: current.count + 1, resetAt: current.resetAt };
+        });
+
+        return result.snapshot.val();
+    }
+
+    // Delete windows that have ended; run from the cron endpoint
+    async prune(now = Date.now()) {
+        const root = getDatabase().ref(this.path);
+        const snapshot = await root.once('value');
+        const updates = {};
+
+        snapshot.forEach((limiter) => {
+            limiter.forEach((counter) => {
+                if (!(counter.child('resetAt').val() > now)) {
+                    updates[`${limiter.key}/${counter.key}`] = null;
+                }
+            });
+        });
+
+        if (Object.keys(updates).length) {
+            await root.update(updates);
+        }
+        return Object.keys(updates).length;
+    }
+}
+
+let defaultStore;
+function getDefaultStore() {
+    if (!defaultStore) {
+        const type = getConfig().rateLimitStore;
+        defaultStore = type === 'rtdb' ? new RtdbStore() : new MemoryStore();
+    }
+    return defaultStore;
+}
+
+// Key extractors
+const byIp = req => req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+// Use after validate() so the email is already normalised; requests
+// without one are not counted
+const byEmail = req => (req.body && typeof req.body.email === 'string' ? req.body.email : null);
+
+// `max` requests per `window` (e.g. '15m') per key
+function rateLimit({ name, max, window, key = byIp, store, message = 'Too many requests, please try again later.' }) {
+    const override = getConfig().rateLimitOverrides[name.toUpperCase().replace(/[^A-Z0-9]/g, '_')];
+    if (override === 'off') {
+        return (req, res, next) => next();
+    }
+
+    let limit = max;
+    let windowMs = parseWindow(window);
+    if (override) {
+        const [overrideMax, overrideWindow] = override.split('/');
+        limit = Number(overrideMax);
+        windowMs = parseWindow(overrideWindow);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error(`Invalid RATE_LIMIT_${name.toUpperCase()}: ${override}`);
+        }
+    }
+
+    return async (req, res, next) => {
+        const id = key(req);
+        if (!id) return next();
+
+        let counter;
+        try {
+            counter = await (store || getDefaultStore()).increment(`${name}:${id}`, windowMs);
+        } catch (error) {
+            // Better to let a few extra requests through than to take the
+            // form down when the store is unavailable
+            logger.error('Rate limiter failed open', { limiter: name, error: error.message });
+            return next();
+        }
+
+        const retryAfter = Math.max(Math.ceil((counter.resetAt - Date.now()) / 1000), 1);
+        res.setHeader('RateLimit-Limit', limit);
+        res.setHeader('RateLimit-Remaining', Math.max(limit - counter.count, 0));
+        res.setHeader('RateLimit-Reset', retryAfter);
+
+        if (counter.count > limit) {
+            res.setHeader('Retry-After', retryAfter);
+            return res.status(429).json({ success: false, error: message, retryAfter });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    rateLimit,
+    byIp,
+    byEmail,
+    MemoryStore,
+    RtdbStore,
+    getDefaultStore
+};
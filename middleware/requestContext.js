@@ -0,0 +1,52 @@
+// middleware/requestContext.js
+//
+// Gives every request a correlation id, echoed in the X-Request-Id response
+// header and attached to its log entries, and records its latency. A caller
+// may pass its own X-Request-Id (e.g. a proxy that already assigned one).
+const crypto = require('crypto');
+const { logger, runWithRequestId } = require('../services/logger');
+const { observeRequest } = require('../services/metrics');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// The matched route pattern; requests that matched no route share one label
+function routeLabel(req) {
+    if (!req.route) return 'unmatched';
+    return `${req.baseUrl || ''}${req.route.path}`;
+}
+
+function requestContext() {
+    return (req, res, next) => {
+        const incoming = req.get(REQUEST_ID_HEADER);
+        const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+        const startedAt = process.hrtime.bigint();
+
+        req.id = requestId;
+        res.set(REQUEST_ID_HEADER, requestId);
+
+        res.on('finish', () => {
+            const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            const route = routeLabel(req);
+
+            observeRequest({ method: req.method, route, status: res.statusCode, durationSeconds });
+
+            const level = res.statusCode >= 500 ? 'error' : 'info';
+            logger[level]('Request completed', {
+                requestId,
+                method: req.method,
+                route,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(durationSeconds * 1000)
+            });
+        });
+
+        runWithRequestId(requestId, next);
+    };
+}
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    requestContext
+};
@@ -0,0 +1,91 @@
+// middleware/spamGuard.js
+//
+// Cheap bot filters for public forms. Runs before validate(), which would
+// strip these fields:
+//
+//   - honeypot: a field hidden from people (default `website`). Anything in
+//     it means a bot filled in the form; it gets a normal-looking success
+//     response so it doesn't retry, and nothing is processed.
+//   - timing: with FORM_TOKEN_SECRET set, forms must send the `formToken`
+//     they got from GET /api/form-token when the page loaded. Submissions
+//     faster than `minSeconds` after that, or with a token older than
+//     `maxAge`, are rejected.
+const crypto = require('crypto');
+const { logger } = require('../services/logger');
+const { getConfig } = require('../config');
+
+const DEFAULT_MIN_SECONDS = 3;
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+function isTimingEnabled() {
+    return !!getConfig().formTokenSecret;
+}
+
+function signIssuedAt(issuedAt) {
+    return crypto.createHmac('sha256', getConfig().formTokenSecret)
+        .update(`form:${issuedAt}`)
+        .digest('base64url');
+}
+
+function createFormToken(now = Date.now()) {
+    return `${now}.${signIssuedAt(now)}`;
+}
+
+// Issue time of a genuine token, otherwise null
+function readFormToken(token) {
+    const [issuedAt, signature] = String(token || '').split('.');
+    if (!/^\d+$/.test(issuedAt || '') || !signature) return null;
+
+    const expected = Buffer.from(signIssuedAt(issuedAt));
+    const provided = Buffer.from(signature);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return null;
+    }
+    return Number(issuedAt);
+}
+
+function spamGuard({
+    honeypotField = 'website',
+    minSeconds = DEFAULT_MIN_SECONDS,
+    maxAgeMs = DEFAULT_MAX_AGE_MS,
+    decoyResponse = { success: true, message: 'Your message has been sent successfully' }
+} = {}) {
+    return (req, res, next) => {
+        const body = req.body || {};
+
+        if (typeof body[honeypotField] === 'string' && body[honeypotField].trim() !== '') {
+            logger.warn('Spam guard: honeypot filled', { path: req.originalUrl, ip: req.ip });
+            return res.status(200).json(decoyResponse);
+        }
+
+        if (!isTimingEnabled()) {
+            return next();
+        }
+
+        const issuedAt = readFormToken(body.formToken);
+        const age = Date.now() - issuedAt;
+
+        if (!issuedAt || age > maxAgeMs) {
+            return res.status(400).json({
+                success: false,
+                error: 'This form has expired. Please reload the page and try again.'
+            });
+        }
+
+        if (age < minSeconds * 1000) {
+            logger.warn('Spam guard: form submitted too fast', { path: req.originalUrl, ageMs: age, ip: req.ip });
+            return res.status(400).json({
+                success: false,
+                error: 'That was quick! Please take a moment and submit the form again.'
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    spamGuard,
+    isTimingEnabled,
+    createFormToken
+};
@@ -0,0 +1,249 @@
+// middleware/validate.js
+//
+// Declarative request validation. A route lists the fields it accepts for
+// body, params and query:
+//
+//   validate({
+//       body: {
+//           email: fields.email({ required: true }),
+//           phone: fields.phone(),
+//           message: fields.string({ required: true, max: 5000 })
+//       }
+//   })
+//
+// Values are normalised (trimmed, emails lower-cased, phone numbers in E.164)
+// and anything not listed is dropped, so handlers only ever see whitelisted
+// fields. Empty values are left out, unless the field is `nullable`: then
+// null or an empty string comes through as null, e.g. to clear it in an
+// update. Failures are answered with:
+//
+//   400 { success: false, error: 'Validation failed',
+//         details: [{ location: 'body', field: 'email', message: '...' }] }
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Indian numbers are accepted as 10 digits (starting 6-9), with a leading 0,
+// or with the 91 country code, and stored as +91XXXXXXXXXX. Other countries
+// must be given in international format (+<country code><number>).
+function normalizePhone(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+    const raw = String(value).trim();
+    const digits = raw.replace(/[\s\-().]/g, '');
+
+    let national = null;
+    if (/^[6-9]\d{9}$/.test(digits)) {
+        national = digits;
+    } else if (/^0[6-9]\d{9}$/.test(digits)) {
+        national = digits.slice(1);
+    } else if (/^(\+91|91|0091)[6-9]\d{9}$/.test(digits)) {
+        national = digits.slice(-10);
+    }
+
+    if (national) return `+91${national}`;
+
+    // Other countries: E.164 allows up to 15 digits
+    if (/^(\+|00)\d{8,15}$/.test(digits) && !/^(\+|00)91/.test(digits)) {
+        return `+${digits.replace(/^(\+|00)/, '')}`;
+    }
+
+    return null;
+}
+
+function normalizeEmail(value) {
+    if (typeof value !== 'string') return null;
+
+    const email = value.trim().toLowerCase();
+    return email.length <= 254 && EMAIL_PATTERN.test(email) ? email : null;
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+const checkers = {
+    string(rule, value) {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return { error: 'must be a string' };
+        }
+
+        const text = rule.trim === false ? String(value) : String(value).trim();
+        if (rule.min !== undefined && text.length < rule.min) {
+            return { error: `must be at least ${rule.min} characters` };
+        }
+        if (rule.max !== undefined && text.length > rule.max) {
+            return { error: `must be at most ${rule.max} characters` };
+        }
+        if (rule.pattern && !rule.pattern.test(text)) {
+            return { error: rule.patternMessage || 'has an invalid format' };
+        }
+        if (rule.enum && !rule.enum.includes(text)) {
+            return { error: `must be one of: ${rule.enum.join(', ')}` };
+        }
+
+        return { value: text };
+    },
+
+    email(rule, value) {
+        const email = normalizeEmail(value);
+        return email ? { value: email } : { error: 'must be a valid email address' };
+    },
+
+    phone(rule, value) {
+        const phone = normalizePhone(value);
+        return phone ? { value: phone } : { error: 'must be a valid phone number' };
+    },
+
+    number(rule, value) {
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            return { error: 'must be a number' };
+        }
+        if (rule.integer && !Number.isInteger(number)) {
+            return { error: 'must be a whole number' };
+        }
+        if (rule.min !== undefined && number < rule.min) {
+            return { error: `must be at least ${rule.min}` };
+        }
+        if (rule.max !== undefined && number > rule.max) {
+            return { error: `must be at most ${rule.max}` };
+        }
+
+        return { value: number };
+    },
+
+    boolean(rule, value) {
+        if (typeof value === 'boolean') return { value };
+        if (value === 'true') return { value: true };
+        if (value === 'false') return { value: false };
+        return { error: 'must be true or false' };
+    },
+
+    date(rule, value) {
+        if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+            return { error: 'must be an ISO date' };
+        }
+        return { value: new Date(value).toISOString() };
+    },
+
+    array(rule, value) {
+        if (!Array.isArray(value)) return { error: 'must be an array' };
+        if (rule.max !== undefined && value.length > rule.max) {
+            return { error: `must have at most ${rule.max} items` };
+        }
+
+        const items = [];
+        for (let index = 0; index < value.length; index += 1) {
+            const result = checkValue(rule.of, value[index]);
+            if (result.error) return { error: `item ${index + 1} ${result.error}` };
+            items.push(result.value);
+        }
+        return { value: items };
+    },
+
+    object(rule, value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return { error: 'must be an object' };
+        }
+
+        const { value: cleaned, errors } = checkSchema(rule.shape, value);
+        if (errors.length) {
+            return { error: errors.map(({ field, message }) => `${field} ${message}`).join('; ') };
+        }
+        return { value: cleaned };
+    },
+
+    // Free-form structured data (e.g. client error context), size-limited
+    json(rule, value) {
+        const size = Buffer.byteLength(JSON.stringify(value) || '');
+        if (rule.maxBytes !== undefined && size > rule.maxBytes) {
+            return { error: `must be at most ${rule.maxBytes} bytes` };
+        }
+        return { value };
+    }
+};
+
+function checkValue(rule, value) {
+    if (isMissing(value)) {
+        if (rule.required) return { error: 'is required' };
+        if (rule.nullable && value !== undefined) return { value: null };
+        return { value: rule.default, omit: rule.default === undefined };
+    }
+
+    return checkers[rule.type](rule, value);
+}
+
+function checkSchema(schema, input) {
+    const source = input && typeof input === 'object' ? input : {};
+    const value = {};
+    const errors = [];
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const result = checkValue(rule, source[field]);
+
+        if (result.error) {
+            errors.push({ field, message: result.error });
+        } else if (!result.omit) {
+            value[field] = result.value;
+        }
+    });
+
+    return { value, errors };
+}
+
+const fields = {
+    string: (options = {}) => ({ type: 'string', ...options }),
+    email: (options = {}) => ({ type: 'email', ...options }),
+    phone: (options = {}) => ({ type: 'phone', ...options }),
+    number: (options = {}) => ({ type: 'number', ...options }),
+    integer: (options = {}) => ({ type: 'number', integer: true, ...options }),
+    boolean: (options = {}) => ({ type: 'boolean', ...options }),
+    date: (options = {}) => ({ type: 'date', ...options }),
+    array: (of, options = {}) => ({ type: 'array', of, ...options }),
+    object: (shape, options = {}) => ({ type: 'object', shape, ...options }),
+    json: (options = {}) => ({ type: 'json', ...options }),
+    // Firebase push ids, Razorpay ids, uids...
+    id: (options = {}) => ({ type: 'string', max: 128, pattern: /^[A-Za-z0-9_-]+$/, patternMessage: 'is not a valid id', ...options })
+};
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+function validate(schemas) {
+    return (req, res, next) => {
+        const details = [];
+        const cleaned = {};
+
+        LOCATIONS.forEach((location) => {
+            if (!schemas[location]) return;
+
+            const { value, errors } = checkSchema(schemas[location], req[location]);
+            errors.forEach(error => details.push({ location, ...error }));
+            cleaned[location] = value;
+        });
+
+        if (details.length) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details
+            });
+        }
+
+        if (cleaned.body) req.body = cleaned.body;
+        if (cleaned.params) req.params = cleaned.params;
+        // req.query is a getter in Express 5
+        if (cleaned.query) {
+            Object.defineProperty(req, 'query', { value: cleaned.query, writable: true, configurable: true });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    fields,
+    normalizeEmail,
+    normalizePhone
+};
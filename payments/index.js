@@ -0,0 +1,58 @@
+// payments/index.js
+//
+// Payment gateway, picked with PAYMENT_GATEWAY:
+//   razorpay (default)  payments/razorpayGateway.js
+//   mock                payments/mockGateway.js, for running the payment flow
+//                       locally without network access. Refused in
+//                       production.
+//
+// Every gateway implements:
+//   name, checkoutKey, webhookSignatureHeader
+//   isConfigured()
+//   isWebhookConfigured()                                -> can webhooks be verified
+//   createOrder({ amount, currency, receipt, notes })    -> { id, amount, currency }
+//   verifyCheckoutSignature({ orderId, paymentId, signature }) -> boolean
+//   verifyWebhook(rawBody, headers)                      -> boolean (timing-safe)
+//   parseWebhook(rawBody, headers)                       -> { id, type, createdAt, payment, refund }
+//   fetchPayment(paymentId)                              -> payment
+//   refund(paymentId, { amount, notes })                 -> refund
+//   checkConnection()
+//
+// Amounts are in paise. Payments are { id, orderId, amount, currency, status,
+// errorDescription } and refunds { id, paymentId, amount, currency, status,
+// notes, errorDescription }; webhook types use Razorpay's event names
+// (payment.captured, payment.failed, refund.processed, ...).
+const { createRazorpayGateway } = require('./razorpayGateway');
+const { createMockGateway } = require('./mockGateway');
+const { getConfig } = require('../config');
+
+const PAYMENT_GATEWAYS = ['razorpay', 'mock'];
+
+let gateway = null;
+
+function createPaymentGateway(type = getConfig().paymentGateway) {
+    switch (type) {
+        case 'razorpay':
+            return createRazorpayGateway();
+        case 'mock':
+            if (getConfig().appEnv === 'production') {
+                throw new Error('The mock payment gateway cannot be used in production');
+            }
+            return createMockGateway();
+        default:
+            throw new Error(`Unknown PAYMENT_GATEWAY "${type}". Use one of: ${PAYMENT_GATEWAYS.join(', ')}`);
+    }
+}
+
+function getPaymentGateway() {
+    if (!gateway) {
+        gateway = createPaymentGateway();
+    }
+    return gateway;
+}
+
+module.exports = {
+    PAYMENT_GATEWAYS,
+    createPaymentGateway,
+    getPaymentGateway
+};
@@ -0,0 +1,218 @@
+// payments/mockGateway.js
+//
+// Local stand-in for Razorpay so the payment flow can be run end-to-end
+// without network access. Orders, payments and refunds only live in this
+// process. simulatePayment() plays the part of the checkout widget, and
+// outcomes are reported the way Razorpay does it: signed webhooks POSTed to
+// MOCK_GATEWAY_WEBHOOK_URL (default: this server's webhook endpoint).
+//   MOCK_GATEWAY_SECRET            signs checkout responses and webhooks
+//   MOCK_GATEWAY_REFUND_DELAY_MS   time until a refund is processed (1000)
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger, getRequestId } = require('../services/logger');
+const { getConfig } = require('../config');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const PAYMENT_OUTCOMES = ['success', 'failure', 'delayed'];
+
+function gatewayError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function mockId(prefix) {
+    return `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+}
+
+function createMockGateway({
+    secret = getConfig().mockGatewaySecret,
+    webhookUrl = getConfig().mockGatewayWebhookUrl,
+    refundDelayMs = getConfig().mockGatewayRefundDelayMs
+} = {}) {
+    const orders = new Map();
+    const payments = new Map();
+
+    function sign(payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    }
+
+    function verify(payload, signature) {
+        const expected = Buffer.from(sign(payload));
+        const provided = Buffer.from(String(signature || ''));
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    }
+
+    function later(delayMs, fn) {
+        const timer = setTimeout(fn, delayMs);
+        timer.unref();
+    }
+
+    // Deliver a signed event to the webhook endpoint. Failures are logged
+    // only, as Razorpay would simply retry later. The webhook request reuses
+    // the id of the request that triggered it, so both share their logs.
+    async function emitWebhook(type, { payment = null, refund = null } = {}) {
+        const rawBody = JSON.stringify({
+            id: mockId('evt'),
+            type,
+            createdAt: new Date().toISOString(),
+            payment,
+            refund
+        });
+
+        const headers = { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(rawBody) };
+        if (getRequestId()) {
+            headers['X-Request-Id'] = getRequestId();
+        }
+
+        try {
+            await axios.post(webhookUrl, rawBody, {
+                headers,
+                timeout: 10000
+            });
+            return true;
+        } catch (error) {
+            logger.error('Mock gateway: delivering webhook failed', { type, error: error.message });
+            return false;
+        }
+    }
+
+    function getPayment(paymentId) {
+        const payment = payments.get(paymentId);
+        if (!payment) {
+            throw gatewayError(`Payment ${paymentId} not found`, 404);
+        }
+        return payment;
+    }
+
+    return {
+        name: 'mock',
+        checkoutKey: 'mock',
+        webhookSignatureHeader: SIGNATURE_HEADER,
+
+        isConfigured() {
+            return true;
+        },
+
+        isWebhookConfigured() {
+            return true;
+        },
+
+        async createOrder({ amount, currency, receipt, notes }) {
+            const order = { id: mockId('order'), amount, currency, receipt, notes: notes || {}, status: 'created' };
+            orders.set(order.id, order);
+            return { id: order.id, amount, currency };
+        },
+
+        verifyCheckoutSignature({ orderId, paymentId, signature }) {
+            return verify(`${orderId}|${paymentId}`, signature);
+        },
+
+        verifyWebhook(rawBody, headers) {
+            return verify(rawBody, headers[SIGNATURE_HEADER]);
+        },
+
+        parseWebhook(rawBody) {
+            const body = JSON.parse(rawBody);
+            return {
+                id: body.id || null,
+                type: body.type,
+                createdAt: body.createdAt || null,
+                payment: body.payment || null,
+                refund: body.refund || null
+            };
+        },
+
+        async fetchPayment(paymentId) {
+            return { ...getPayment(paymentId) };
+        },
+
+        async refund(paymentId, { amount, notes }) {
+            const payment = getPayment(paymentId);
+            if (payment.status !== 'captured') {
+                throw gatewayError('Only captured payments can be refunded', 400);
+            }
+
+            const refund = {
+                id: mockId('rfnd'),
+                paymentId,
+                amount: amount === undefined ? payment.amount : amount,
+                currency: payment.currency,
+                status: 'pending',
+                notes: notes || {},
+                errorDescription: null
+            };
+
+            later(refundDelayMs, () => emitWebhook('refund.processed', {
+                refund: { ...refund, status: 'processed' }
+            }));
+
+            return refund;
+        },
+
+        async checkConnection() {
+            return true;
+        },
+
+        // Pay for an order the way the checkout widget would:
+        //   success  captured at once, payment.captured webhook
+        //   failure  payment.failed webhook, no checkout signature
+        //   delayed  authorized now, captured (and reported) after delayMs
+        // Returns what the checkout widget hands to the client, i.e. the
+        // body for POST /api/confirm-payment.
+        async simulatePayment(orderId, { outcome = 'success', delayMs = 5000, errorDescription } = {}) {
+            const order = orders.get(orderId);
+            if (!order) {
+                throw gatewayError(`Order ${orderId} not found`, 404);
+            }
+            if (!PAYMENT_OUTCOMES.includes(outcome)) {
+                throw gatewayError(`outcome must be one of: ${PAYMENT_OUTCOMES.join(', ')}`, 400);
+            }
+            if (order.status === 'paid') {
+                throw gatewayError('Order has already been paid', 409);
+            }
+
+            const payment = {
+                id: mockId('pay'),
+                orderId,
+                amount: order.amount,
+                currency: order.currency,
+                status: 'captured',
+                errorDescription: null
+            };
+            payments.set(payment.id, payment);
+
+            if (outcome === 'failure') {
+                payment.status = 'failed';
+                payment.errorDescription = errorDescription || 'Payment declined by the mock gateway';
+                await emitWebhook('payment.failed', { payment: { ...payment } });
+
+                return { razorpay_order_id: orderId, razorpay_payment_id: payment.id, error: payment.errorDescription };
+            }
+
+            order.status = 'paid';
+            if (outcome === 'delayed') {
+                payment.status = 'authorized';
+                later(delayMs, () => {
+                    payment.status = 'captured';
+                    emitWebhook('payment.captured', { payment: { ...payment } });
+                });
+            } else {
+                await emitWebhook('payment.captured', { payment: { ...payment } });
+            }
+
+            return {
+                razorpay_order_id: orderId,
+                razorpay_payment_id: payment.id,
+                razorpay_signature: sign(`${orderId}|${payment.id}`)
+            };
+        },
+
+        emitWebhook
+    };
+}
+
+module.exports = {
+    PAYMENT_OUTCOMES,
+    createMockGateway
+};
@@ -0,0 +1,130 @@
+// payments/razorpayGateway.js
+//
+// Razorpay implementation of the payment gateway interface (payments/index.js).
+//   RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET  API keys; the key id is also what
+//                                          the checkout widget is opened with
+//   RAZORPAY_WEBHOOK_SECRET                secret set on the Razorpay webhook
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const { getConfig } = require('../config');
+
+const SIGNATURE_HEADER = 'x-razorpay-signature';
+// Razorpay sends the event id in a header only; it is the same on retries
+const EVENT_ID_HEADER = 'x-razorpay-event-id';
+
+function signaturesMatch(expected, provided) {
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(String(provided || ''));
+
+    return expectedBuffer.length === providedBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+function toPayment(entity) {
+    return {
+        id: entity.id,
+        orderId: entity.order_id,
+        amount: entity.amount,
+        currency: entity.currency,
+        status: entity.status,
+        errorDescription: entity.error_description || null
+    };
+}
+
+function toRefund(entity) {
+    return {
+        id: entity.id,
+        paymentId: entity.payment_id,
+        amount: entity.amount,
+        currency: entity.currency,
+        status: entity.status,
+        notes: entity.notes || {},
+        errorDescription: entity.error_description || null
+    };
+}
+
+function createRazorpayGateway({
+    keyId = getConfig().razorpayKeyId,
+    keySecret = getConfig().razorpayKeySecret,
+    webhookSecret = getConfig().razorpayWebhookSecret
+} = {}) {
+    let client = null;
+
+    // Created on first use so a missing key only breaks payments, not startup
+    function getClient() {
+        if (!client) {
+            client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+        }
+        return client;
+    }
+
+    function hmac(secret, payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    }
+
+    return {
+        name: 'razorpay',
+        checkoutKey: keyId,
+        webhookSignatureHeader: SIGNATURE_HEADER,
+
+        isConfigured() {
+            return !!keyId && !!keySecret;
+        },
+
+        isWebhookConfigured() {
+            return !!webhookSecret;
+        },
+
+        async createOrder({ amount, currency, receipt, notes }) {
+            const order = await getClient().orders.create({
+                amount,
+                currency,
+                receipt,
+                payment_capture: 1,
+                notes
+            });
+            return { id: order.id, amount: order.amount, currency: order.currency };
+        },
+
+        verifyCheckoutSignature({ orderId, paymentId, signature }) {
+            if (!keySecret) return false;
+            return signaturesMatch(hmac(keySecret, `${orderId}|${paymentId}`), signature);
+        },
+
+        verifyWebhook(rawBody, headers) {
+            if (!webhookSecret) return false;
+            return signaturesMatch(hmac(webhookSecret, rawBody), headers[SIGNATURE_HEADER]);
+        },
+
+        parseWebhook(rawBody, headers = {}) {
+            const body = JSON.parse(rawBody);
+            const payload = body.payload || {};
+
+            return {
+                id: headers[EVENT_ID_HEADER] || body.id || null,
+                type: body.event,
+                createdAt: body.created_at ? new Date(body.created_at * 1000).toISOString() : null,
+                payment: payload.payment ? toPayment(payload.payment.entity) : null,
+                refund: payload.refund ? toRefund(payload.refund.entity) : null
+            };
+        },
+
+        async fetchPayment(paymentId) {
+            return toPayment(await getClient().payments.fetch(paymentId));
+        },
+
+        async refund(paymentId, { amount, notes }) {
+            return toRefund(await getClient().payments.refund(paymentId, { amount, notes }));
+        },
+
+        // One cheap authenticated call, for diagnostics
+        async checkConnection() {
+            await getClient().payments.all({ count: 1 });
+            return true;
+        }
+    };
+}
+
+module.exports = {
+    createRazorpayGateway
+};
@@ -0,0 +1,32 @@
+// repositories/adminSetupRepository.js
+//
+// Storage access for adminSetup: the record of the first admin being set up,
+// which keeps the bootstrap from being used twice.
+const { getDatabase } = require('../storage');
+
+const adminSetupRef = () => getDatabase().ref('adminSetup');
+
+async function getAdminSetup() {
+    const snapshot = await adminSetupRef().once('value');
+    return snapshot.val();
+}
+
+async function transactAdminSetup(fn) {
+    const result = await adminSetupRef().transaction(fn);
+    return { committed: result.committed, setup: result.snapshot.val() };
+}
+
+async function updateAdminSetup(fields) {
+    await adminSetupRef().update(fields);
+}
+
+async function removeAdminSetup() {
+    await adminSetupRef().remove();
+}
+
+module.exports = {
+    getAdminSetup,
+    transactAdminSetup,
+    updateAdminSetup,
+    removeAdminSetup
+};
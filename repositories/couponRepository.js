@@ -0,0 +1,47 @@
+// repositories/couponRepository.js
+//
+// Storage access for coupons/{code} (with their redemption counters) and
+// couponRedemptions/{code}/{orderId}. Validation and the redemption rules
+// live in services/couponService.js.
+const { getDatabase } = require('../storage');
+
+const couponsRef = () => getDatabase().ref('coupons');
+const redemptionsRef = () => getDatabase().ref('couponRedemptions');
+
+async function getCoupon(code) {
+    const snapshot = await couponsRef().child(code).once('value');
+    return snapshot.exists() ? snapshot.val() : null;
+}
+
+async function listCoupons() {
+    const snapshot = await couponsRef().once('value');
+    return Object.values(snapshot.val() || {});
+}
+
+async function updateCoupon(code, fields) {
+    await couponsRef().child(code).update(fields);
+}
+
+// Read-modify-write of one coupon; `update` follows the RTDB contract
+async function transactCoupon(code, update) {
+    const result = await couponsRef().child(code).transaction(update);
+    return { committed: result.committed, coupon: result.snapshot.val() };
+}
+
+async function saveRedemption(code, orderId, redemption) {
+    await redemptionsRef().child(code).child(orderId).set(redemption);
+}
+
+async function listRedemptions(code) {
+    const snapshot = await redemptionsRef().child(code).once('value');
+    return Object.values(snapshot.val() || {});
+}
+
+module.exports = {
+    getCoupon,
+    listCoupons,
+    updateCoupon,
+    transactCoupon,
+    saveRedemption,
+    listRedemptions
+};
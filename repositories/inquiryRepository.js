@@ -0,0 +1,62 @@
+// repositories/inquiryRepository.js
+//
+// Storage access for inquiries/{inquiryId} and their threads at
+// inquiryThreads/{inquiryId}/{entryId}. Statuses, assignment and replies
+// live in services/inquiryService.js.
+const { getDatabase } = require('../storage');
+
+const inquiriesRef = () => getDatabase().ref('inquiries');
+const threadsRef = () => getDatabase().ref('inquiryThreads');
+
+// Returns the new inquiry's id
+async function createInquiry(inquiry) {
+    const ref = inquiriesRef().push();
+    await ref.set(inquiry);
+    return ref.key;
+}
+
+async function getInquiry(inquiryId) {
+    const snapshot = await inquiriesRef().child(inquiryId).once('value');
+    return snapshot.exists() ? { id: inquiryId, ...snapshot.val() } : null;
+}
+
+// Only one of `status` and `courseInterest` can be queried on; `status` wins
+async function listInquiries({ status, courseInterest } = {}) {
+    let query = inquiriesRef();
+    if (status) {
+        query = query.orderByChild('status').equalTo(status);
+    } else if (courseInterest) {
+        query = query.orderByChild('courseInterest').equalTo(courseInterest);
+    }
+
+    const snapshot = await query.once('value');
+    return Object.entries(snapshot.val() || {}).map(([id, inquiry]) => ({ id, ...inquiry }));
+}
+
+async function updateInquiry(inquiryId, fields) {
+    await inquiriesRef().child(inquiryId).update(fields);
+}
+
+// Id for a thread entry that is saved later, e.g. once its email is queued
+function newThreadEntryId(inquiryId) {
+    return threadsRef().child(inquiryId).push().key;
+}
+
+async function saveThreadEntry(inquiryId, entryId, entry) {
+    await threadsRef().child(inquiryId).child(entryId).set(entry);
+}
+
+async function listThread(inquiryId) {
+    const snapshot = await threadsRef().child(inquiryId).once('value');
+    return Object.entries(snapshot.val() || {}).map(([id, entry]) => ({ id, ...entry }));
+}
+
+module.exports = {
+    createInquiry,
+    getInquiry,
+    listInquiries,
+    updateInquiry,
+    newThreadEntryId,
+    saveThreadEntry,
+    listThread
+};
@@ -0,0 +1,34 @@
+// repositories/invoiceRepository.js
+//
+// Storage access for invoices/{paymentId} and the per-financial-year number
+// counters at invoiceCounters/{year}. What goes on an invoice is decided in
+// services/invoiceService.js.
+const { getDatabase } = require('../storage');
+
+const invoicesRef = () => getDatabase().ref('invoices');
+
+async function getInvoice(paymentId) {
+    const snapshot = await invoicesRef().child(paymentId).once('value');
+    return snapshot.val();
+}
+
+// Stores the invoice unless the payment already has one; returns the stored one
+async function createInvoiceIfMissing(paymentId, invoice) {
+    const result = await invoicesRef().child(paymentId).transaction((current) => {
+        if (current === null) return invoice;
+        return undefined;
+    });
+    return result.snapshot.val();
+}
+
+// Increments the counter of `year` and returns the new value
+async function nextCounterValue(year) {
+    const result = await getDatabase().ref(`invoiceCounters/${year}`).transaction(current => (current || 0) + 1);
+    return result.snapshot.val();
+}
+
+module.exports = {
+    getInvoice,
+    createInvoiceIfMissing,
+    nextCounterValue
+};
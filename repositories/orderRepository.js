@@ -0,0 +1,42 @@
+// repositories/orderRepository.js
+//
+// Storage access for orders/{razorpayOrderId}: what was charged for which
+// registration, and what became of it.
+const { getDatabase } = require('../storage');
+
+const ordersRef = () => getDatabase().ref('orders');
+
+async function getOrder(orderId) {
+    if (!orderId) return null;
+
+    const snapshot = await ordersRef().child(orderId).once('value');
+    return snapshot.val();
+}
+
+async function createOrder(orderId, order) {
+    await ordersRef().child(orderId).set(order);
+}
+
+async function updateOrder(orderId, fields) {
+    await ordersRef().child(orderId).update(fields);
+}
+
+async function getOrderRegistrationId(orderId) {
+    const snapshot = await ordersRef().child(orderId).child('registrationId').once('value');
+    return snapshot.val();
+}
+
+// Atomic read-modify-write of the coupon applied to an order, with the RTDB
+// transaction contract
+async function transactOrderCoupon(orderId, update) {
+    const result = await ordersRef().child(orderId).child('coupon').transaction(update);
+    return { committed: result.committed, coupon: result.snapshot.val() };
+}
+
+module.exports = {
+    getOrder,
+    createOrder,
+    updateOrder,
+    getOrderRegistrationId,
+    transactOrderCoupon
+};
@@ -0,0 +1,74 @@
+// repositories/paymentRepository.js
+//
+// Storage access for payments:
+//   paymentConfirmations/{paymentId}  how a captured payment was processed,
+//                                     with per-step progress under steps/
+//   confirmedPayments/{registrationId} quick lookup of paid registrations
+const { getDatabase } = require('../storage');
+
+const confirmationsRef = () => getDatabase().ref('paymentConfirmations');
+const confirmedPaymentsRef = () => getDatabase().ref('confirmedPayments');
+
+async function getConfirmation(paymentId) {
+    const snapshot = await confirmationsRef().child(paymentId).once('value');
+    return snapshot.val();
+}
+
+async function updateConfirmation(paymentId, fields) {
+    await confirmationsRef().child(paymentId).update(fields);
+}
+
+// Atomic read-modify-write with the RTDB transaction contract
+async function transactConfirmation(paymentId, update) {
+    const result = await confirmationsRef().child(paymentId).transaction(update);
+    return { committed: result.committed, confirmation: result.snapshot.val() };
+}
+
+async function getConfirmationSteps(paymentId) {
+    const snapshot = await confirmationsRef().child(paymentId).child('steps').once('value');
+    return snapshot.val() || {};
+}
+
+async function transactConfirmationStep(paymentId, step, update) {
+    const result = await confirmationsRef().child(paymentId).child('steps').child(step).transaction(update);
+    return { committed: result.committed, step: result.snapshot.val() };
+}
+
+async function updateConfirmationStep(paymentId, step, fields) {
+    await confirmationsRef().child(paymentId).child('steps').child(step).update(fields);
+}
+
+async function getConfirmedPayment(registrationId) {
+    const snapshot = await confirmedPaymentsRef().child(registrationId).once('value');
+    return snapshot.val();
+}
+
+// One multi-path update so confirmedPayments, the user's copy of the
+// registration and the order never disagree about a payment
+async function recordConfirmedPayment({ registrationId, paymentId, orderId, timestamp, uid, userFields = {}, markOrderPaid }) {
+    const updates = {
+        [`confirmedPayments/${registrationId}`]: { paymentId, orderId, timestamp }
+    };
+    if (uid) {
+        Object.entries(userFields).forEach(([field, value]) => {
+            updates[`users/${uid}/registration/${field}`] = value;
+        });
+    }
+    if (markOrderPaid) {
+        updates[`orders/${orderId}/orderStatus`] = 'paid';
+        updates[`orders/${orderId}/paymentId`] = paymentId;
+    }
+
+    await getDatabase().ref().update(updates);
+}
+
+module.exports = {
+    getConfirmation,
+    updateConfirmation,
+    transactConfirmation,
+    getConfirmationSteps,
+    transactConfirmationStep,
+    updateConfirmationStep,
+    getConfirmedPayment,
+    recordConfirmedPayment
+};
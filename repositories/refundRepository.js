@@ -0,0 +1,103 @@
+// repositories/refundRepository.js
+//
+// Storage access for refunds:
+//   refunds/{refundId}                 gateway refunds and what became of them
+//   cancellationRequests/{requestId}   participants asking to cancel
+// plus the multi-path updates that keep orders, registrations and
+// confirmedPayments in step with them. Business rules live in
+// services/refundService.js.
+const { getDatabase } = require('../storage');
+
+const refundsRef = () => getDatabase().ref('refunds');
+const cancellationRequestsRef = () => getDatabase().ref('cancellationRequests');
+
+async function listRefunds({ paymentId } = {}) {
+    const query = paymentId ? refundsRef().orderByChild('paymentId').equalTo(paymentId) : refundsRef();
+    const snapshot = await query.once('value');
+    return Object.values(snapshot.val() || {});
+}
+
+// Atomic read-modify-write with the RTDB transaction contract
+async function transactRefund(refundId, update) {
+    const result = await refundsRef().child(refundId).transaction(update);
+    return { committed: result.committed, refund: result.snapshot.val() };
+}
+
+async function transactRefundNotifiedAt(refundId, update) {
+    const result = await refundsRef().child(refundId).child('notifiedAt').transaction(update);
+    return { committed: result.committed, notifiedAt: result.snapshot.val() };
+}
+
+async function clearRefundNotifiedAt(refundId) {
+    await refundsRef().child(refundId).child('notifiedAt').remove();
+}
+
+// One multi-path update so the order, the registration (and the user's copy
+// of it) and confirmedPayments agree on how much of a payment was refunded.
+// A fully refunded payment is dropped from confirmedPayments.
+async function recordPaymentRefunds({ orderId, registrationId, uid, orderStatus, refundedAmount, fullyRefunded, registrationFields }) {
+    const updates = {
+        [`orders/${orderId}/orderStatus`]: orderStatus,
+        [`orders/${orderId}/refundedAmount`]: refundedAmount
+    };
+    if (fullyRefunded) {
+        updates[`confirmedPayments/${registrationId}`] = null;
+    } else {
+        updates[`confirmedPayments/${registrationId}/refundedAmount`] = refundedAmount;
+    }
+    Object.entries(registrationFields).forEach(([field, value]) => {
+        updates[`registrations/${registrationId}/${field}`] = value;
+        if (uid) {
+            updates[`users/${uid}/registration/${field}`] = value;
+        }
+    });
+
+    await getDatabase().ref().update(updates);
+}
+
+async function getCancellationRequest(requestId) {
+    const snapshot = await cancellationRequestsRef().child(requestId).once('value');
+    return snapshot.exists() ? { id: requestId, ...snapshot.val() } : null;
+}
+
+async function listCancellationRequests({ status } = {}) {
+    const query = status ? cancellationRequestsRef().orderByChild('status').equalTo(status) : cancellationRequestsRef();
+    const snapshot = await query.once('value');
+
+    return Object.entries(snapshot.val() || {}).map(([id, value]) => ({ id, ...value }));
+}
+
+function newCancellationRequestId() {
+    return cancellationRequestsRef().push().key;
+}
+
+// Write changes to a cancellation request together with the fields of its
+// registration, in one update. `request` replaces the stored request when
+// `replace` is set (a new request) and is merged into it otherwise.
+async function saveCancellationRequest(requestId, request, { registrationId, registrationFields = {}, replace = false }) {
+    const updates = {};
+    if (replace) {
+        updates[`cancellationRequests/${requestId}`] = request;
+    } else {
+        Object.entries(request).forEach(([field, value]) => {
+            updates[`cancellationRequests/${requestId}/${field}`] = value;
+        });
+    }
+    Object.entries(registrationFields).forEach(([field, value]) => {
+        updates[`registrations/${registrationId}/${field}`] = value;
+    });
+
+    await getDatabase().ref().update(updates);
+}
+
+module.exports = {
+    listRefunds,
+    transactRefund,
+    transactRefundNotifiedAt,
+    clearRefundNotifiedAt,
+    recordPaymentRefunds,
+    getCancellationRequest,
+    listCancellationRequests,
+    newCancellationRequestId,
+    saveCancellationRequest
+};
@@ -0,0 +1,103 @@
+// repositories/registrationRepository.js
+//
+// Storage access for registrations/{registrationId}. Business rules (states,
+// transitions, filters) live in services/registrationService.js.
+const { getDatabase } = require('../storage');
+
+const registrationsRef = () => getDatabase().ref('registrations');
+
+function toList(snapshot) {
+    const list = [];
+    snapshot.forEach((child) => {
+        list.push({ id: child.key, ...child.val() });
+    });
+    return list;
+}
+
+function newRegistrationId() {
+    return registrationsRef().push().key;
+}
+
+async function getRegistration(registrationId) {
+    if (!registrationId) return null;
+
+    const snapshot = await registrationsRef().child(registrationId).once('value');
+    return snapshot.exists() ? { id: registrationId, ...snapshot.val() } : null;
+}
+
+async function saveRegistration(registrationId, registration) {
+    await registrationsRef().child(registrationId).set(registration);
+}
+
+async function updateRegistration(registrationId, fields) {
+    await registrationsRef().child(registrationId).update(fields);
+}
+
+// Atomic read-modify-write; `update` follows the RTDB transaction contract
+// (return undefined to abort, and expect null when the cache is cold)
+async function transactRegistration(registrationId, update) {
+    const result = await registrationsRef().child(registrationId).transaction(update);
+    return { committed: result.committed, registration: result.snapshot.val() };
+}
+
+// Registrations from before orders recorded their registrationId
+async function findRegistrationIdByOrderId(orderId) {
+    const snapshot = await registrationsRef().orderByChild('orderId').equalTo(orderId).once('value');
+    const registrations = snapshot.val();
+    return registrations ? Object.keys(registrations)[0] : null;
+}
+
+async function findByEventId(eventId) {
+    const snapshot = await registrationsRef().orderByChild('eventId').equalTo(eventId).once('value');
+    return toList(snapshot);
+}
+
+// Registered in [from, to); either bound may be left out
+async function findByTimestamp({ from, to } = {}) {
+    let query = registrationsRef();
+    if (from || to) {
+        query = query.orderByChild('timestamp');
+        if (from) query = query.startAt(from);
+        if (to) query = query.endBefore(to);
+    }
+
+    const snapshot = await query.once('value');
+    return toList(snapshot);
+}
+
+// One page ordered by [timestamp, id], continuing after `cursor` (the
+// [timestamp, id] of the previous page's last item). Returns up to `limit`
+// items plus whether there are more.
+async function pageByTimestamp({ from, to, order = 'desc', limit, cursor }) {
+    let query = registrationsRef().orderByChild('timestamp');
+
+    if (order === 'desc') {
+        if (from) query = query.startAt(from);
+        if (cursor) query = query.endBefore(cursor[0], cursor[1]);
+        else if (to) query = query.endBefore(to);
+        query = query.limitToLast(limit + 1);
+    } else {
+        if (cursor) query = query.startAfter(cursor[0], cursor[1]);
+        else if (from) query = query.startAt(from);
+        if (to) query = query.endBefore(to);
+        query = query.limitToFirst(limit + 1);
+    }
+
+    const snapshot = await query.once('value');
+    const list = toList(snapshot);
+    if (order === 'desc') list.reverse();
+
+    return { items: list.slice(0, limit), hasMore: list.length > limit };
+}
+
+module.exports = {
+    newRegistrationId,
+    getRegistration,
+    saveRegistration,
+    updateRegistration,
+    transactRegistration,
+    findRegistrationIdByOrderId,
+    findByEventId,
+    findByTimestamp,
+    pageByTimestamp
+};
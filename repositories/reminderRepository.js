@@ -0,0 +1,25 @@
+// repositories/reminderRepository.js
+//
+// Storage access for reminderDeliveries/{eventId}/{offset}/{registrationId},
+// the record of each reminder queued for a registrant. When reminders are
+// due is decided in services/reminderService.js.
+const { getDatabase } = require('../storage');
+
+const deliveriesRef = () => getDatabase().ref('reminderDeliveries');
+
+// Delivery records of an event keyed by offset, or of one offset keyed by
+// registration id
+async function getDeliveries(eventId, offset) {
+    const ref = offset ? deliveriesRef().child(eventId).child(offset) : deliveriesRef().child(eventId);
+    const snapshot = await ref.once('value');
+    return snapshot.val() || {};
+}
+
+async function saveDelivery(eventId, offset, registrationId, delivery) {
+    await deliveriesRef().child(eventId).child(offset).child(registrationId).set(delivery);
+}
+
+module.exports = {
+    getDeliveries,
+    saveDelivery
+};
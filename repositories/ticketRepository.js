@@ -0,0 +1,44 @@
+// repositories/ticketRepository.js
+//
+// Storage access for tickets/{registrationId} and the short-code index
+// ticketCodes/{code} -> registrationId. Tokens, codes and check-in rules
+// live in services/ticketService.js.
+const { getDatabase } = require('../storage');
+
+const ticketsRef = () => getDatabase().ref('tickets');
+const ticketCodesRef = () => getDatabase().ref('ticketCodes');
+
+async function getTicket(registrationId) {
+    const snapshot = await ticketsRef().child(registrationId).once('value');
+    return snapshot.val();
+}
+
+// Tickets of an event keyed by registration id
+async function findByEventId(eventId) {
+    const snapshot = await ticketsRef().orderByChild('eventId').equalTo(eventId).once('value');
+    return snapshot.val() || {};
+}
+
+// `update` follows the RTDB transaction contract (undefined aborts)
+async function transactTicket(registrationId, update) {
+    const result = await ticketsRef().child(registrationId).transaction(update);
+    return { committed: result.committed, ticket: result.snapshot.val() };
+}
+
+async function getCodeRegistrationId(code) {
+    const snapshot = await ticketCodesRef().child(code).once('value');
+    return snapshot.exists() ? snapshot.val() : null;
+}
+
+async function transactCode(code, update) {
+    const result = await ticketCodesRef().child(code).transaction(update);
+    return { committed: result.committed, registrationId: result.snapshot.val() };
+}
+
+module.exports = {
+    getTicket,
+    findByEventId,
+    transactTicket,
+    getCodeRegistrationId,
+    transactCode
+};
@@ -0,0 +1,59 @@
+// repositories/userRepository.js
+//
+// Storage access for users/{uid}: the profile kept next to the Firebase Auth
+// account, including the copy of the user's registration status, and for
+// adminRoles/{uid}, the index of users holding an admin role.
+const { getDatabase } = require('../storage');
+
+const usersRef = () => getDatabase().ref('users');
+const adminRolesRef = () => getDatabase().ref('adminRoles');
+
+async function getUser(uid) {
+    const snapshot = await usersRef().child(uid).once('value');
+    return snapshot.val();
+}
+
+async function saveUser(uid, user) {
+    await usersRef().child(uid).set(user);
+}
+
+// Write `user` only where there is no profile yet. Returns whether it did.
+async function createUserIfMissing(uid, user) {
+    const result = await usersRef().child(uid).transaction(current => (current === null ? user : undefined));
+    return result.committed;
+}
+
+async function updateUser(uid, fields) {
+    await usersRef().child(uid).update(fields);
+}
+
+async function removeUser(uid) {
+    await usersRef().child(uid).remove();
+}
+
+async function updateUserRegistration(uid, fields) {
+    await usersRef().child(uid).child('registration').update(fields);
+}
+
+async function listAdminRoles() {
+    const snapshot = await adminRolesRef().once('value');
+    return snapshot.val() || {};
+}
+
+// Atomic read-modify-write of the whole index, with the RTDB transaction
+// contract; it stays small (admins only)
+async function transactAdminRoles(update) {
+    const result = await adminRolesRef().transaction(update);
+    return { committed: result.committed, adminRoles: result.snapshot.val() || {} };
+}
+
+module.exports = {
+    getUser,
+    saveUser,
+    createUserIfMissing,
+    updateUser,
+    removeUser,
+    updateUserRegistration,
+    listAdminRoles,
+    transactAdminRoles
+};
@@ -0,0 +1,47 @@
+// repositories/webhookEventRepository.js
+//
+// Storage access for webhookEvents/{eventId}: every verified webhook as it
+// was received (raw body and signature), what processing it made of it, and
+// how often the gateway delivered it.
+const { getDatabase } = require('../storage');
+
+const webhookEventsRef = () => getDatabase().ref('webhookEvents');
+
+// RTDB keys can't contain . # $ [ ] /
+function toEventKey(eventId) {
+    return String(eventId).replace(/[.#$[\]/]/g, '_');
+}
+
+async function getWebhookEvent(eventId) {
+    const snapshot = await webhookEventsRef().child(toEventKey(eventId)).once('value');
+    return snapshot.exists() ? snapshot.val() : null;
+}
+
+async function transactWebhookEvent(eventId, fn) {
+    const result = await webhookEventsRef().child(toEventKey(eventId)).transaction(fn);
+    return { committed: result.committed, event: result.snapshot.val() };
+}
+
+async function updateWebhookEvent(eventId, fields) {
+    await webhookEventsRef().child(toEventKey(eventId)).update(fields);
+}
+
+// Newest first, without the raw bodies
+async function listWebhookEvents({ status, limit = 50 } = {}) {
+    const query = status
+        ? webhookEventsRef().orderByChild('status').equalTo(status)
+        : webhookEventsRef().orderByChild('receivedAt').limitToLast(limit);
+    const snapshot = await query.once('value');
+
+    return Object.values(snapshot.val() || {})
+        .map(({ rawBody, signature, ...event }) => event)
+        .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+        .slice(0, limit);
+}
+
+module.exports = {
+    getWebhookEvent,
+    transactWebhookEvent,
+    updateWebhookEvent,
+    listWebhookEvents
+};
@@ -0,0 +1,39 @@
+// routes/auditRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { validate, fields } = require('../middleware/validate');
+const { listAuditLog } = require('../services/auditService');
+const { logger } = require('../services/logger');
+
+// Admin: the audit trail, newest first. `actor` is a uid or email, `action`
+// an exact action (user.delete) or its prefix (user), and `from`/`to` bound
+// the timestamp (to is exclusive). Pass `pageInfo.nextCursor` back as
+// `cursor` for the next page.
+router.get('/admin/audit-log', authenticateFirebase, requirePermission('audit:read'), validate({
+    query: {
+        actor: fields.string({ max: 254 }),
+        action: fields.string({ max: 64, pattern: /^[a-z_.]+$/ }),
+        targetType: fields.string({ max: 64 }),
+        targetId: fields.string({ max: 128 }),
+        from: fields.date(),
+        to: fields.date(),
+        limit: fields.integer({ min: 1, max: 200, default: 50 }),
+        cursor: fields.id()
+    }
+}), async (req, res) => {
+    try {
+        const { limit, cursor, ...filters } = req.query;
+        const result = await listAuditLog(filters, { limit, cursor });
+
+        res.json({ success: true, entries: result.entries, pageInfo: result.pageInfo });
+    } catch (error) {
+        logger.error('Error fetching audit log', { error });
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to fetch audit log'
+        });
+    }
+});
+
+module.exports = router;
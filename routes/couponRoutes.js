@@ -0,0 +1,172 @@
+// routes/couponRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate, fields } = require('../middleware/validate');
+const { getEvent, getEventPrice } = require('../services/eventService');
+const {
+    COUPON_TYPES,
+    normalizeCouponInput,
+    getCoupon,
+    listCoupons,
+    createCoupon,
+    disableCoupon,
+    validateCoupon,
+    listRedemptions
+} = require('../services/couponService');
+const { logger } = require('../services/logger');
+
+const couponParams = { code: fields.id({ required: true, max: 32 }) };
+
+// Public: preview the price for a coupon code before checkout.
+// The same check runs again when the payment order is created.
+router.post('/coupons/validate', validate({
+    body: {
+        code: fields.string({ required: true, max: 32 }),
+        eventId: fields.id({ required: true }),
+        email: fields.email()
+    }
+}), async (req, res) => {
+    try {
+        const { code, eventId, email } = req.body;
+        const event = await getEvent(eventId);
+        if (!event || event.status !== 'published') {
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+
+        const amount = getEventPrice(event);
+        const result = await validateCoupon(code, { eventId, email, amount });
+
+        if (!result.valid) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        res.json({
+            success: true,
+            code: result.coupon.code,
+            originalAmount: amount,
+            discountAmount: result.discountAmount,
+            finalAmount: result.finalAmount,
+            currency: event.currency || 'INR'
+        });
+    } catch (error) {
+        logger.error('Error validating coupon', { error });
+        res.status(500).json({ success: false, error: 'Failed to validate coupon' });
+    }
+});
+
+router.get('/admin/coupons', authenticateFirebase, requirePermission('coupons:manage'), validate({
+    query: { active: fields.boolean() }
+}), async (req, res) => {
+    try {
+        const coupons = await listCoupons({ active: req.query.active });
+
+        res.json({ success: true, coupons });
+    } catch (error) {
+        logger.error('Error fetching coupons', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch coupons' });
+    }
+});
+
+router.get('/admin/coupons/:code', authenticateFirebase, requirePermission('coupons:manage'), validate({
+    params: couponParams
+}), async (req, res) => {
+    try {
+        const coupon = await getCoupon(req.params.code);
+
+        if (!coupon) {
+            return res.status(404).json({ success: false, error: 'Coupon not found' });
+        }
+
+        const { redemptionsByEmail, ...details } = coupon;
+        const redemptions = await listRedemptions(coupon.code);
+
+        res.json({ success: true, coupon: details, redemptions });
+    } catch (error) {
+        logger.error('Error fetching coupon', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch coupon' });
+    }
+});
+
+// Types and sizes are checked here; normalizeCouponInput() adds the rules
+// between fields (e.g. a percentage of at most 100)
+router.post('/admin/coupons', authenticateFirebase, requirePermission('coupons:manage'), validate({
+    body: {
+        code: fields.string({ required: true, max: 32 }),
+        type: fields.string({ required: true, enum: COUPON_TYPES }),
+        value: fields.number({ required: true }),
+        description: fields.string({ max: 500 }),
+        expiresAt: fields.date(),
+        maxRedemptions: fields.integer({ min: 1 }),
+        perEmailLimit: fields.integer({ min: 1 }),
+        eventIds: fields.array(fields.id(), { max: 50 })
+    }
+}), async (req, res) => {
+    try {
+        const { coupon, errors } = normalizeCouponInput(req.body);
+
+        if (errors.length) {
+            return res.status(400).json({ success: false, error: 'Invalid coupon', details: errors });
+        }
+
+        if (coupon.eventIds) {
+            const events = await Promise.all(coupon.eventIds.map(getEvent));
+            const unknown = coupon.eventIds.filter((id, index) => !events[index]);
+
+            if (unknown.length) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown event ids: ${unknown.join(', ')}`
+                });
+            }
+        }
+
+        const created = await createCoupon(coupon, req.user.uid);
+
+        if (!created) {
+            return res.status(409).json({ success: false, error: 'A coupon with this code already exists' });
+        }
+
+        await audit(req, 'coupon.create', { targetType: 'coupon', targetId: created.code, after: created });
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            coupon: created
+        });
+    } catch (error) {
+        logger.error('Error creating coupon', { error });
+        res.status(500).json({ success: false, error: error.message || 'Failed to create coupon' });
+    }
+});
+
+router.put('/admin/coupons/:code/disable', authenticateFirebase, requirePermission('coupons:manage'), validate({
+    params: couponParams
+}), async (req, res) => {
+    try {
+        const coupon = await disableCoupon(req.params.code, req.user.uid);
+
+        if (!coupon) {
+            return res.status(404).json({ success: false, error: 'Coupon not found' });
+        }
+
+        const { redemptionsByEmail, ...details } = coupon;
+        await audit(req, 'coupon.disable', {
+            targetType: 'coupon',
+            targetId: details.code,
+            after: { active: details.active }
+        });
+
+        res.json({
+            success: true,
+            message: 'Coupon disabled successfully',
+            coupon: details
+        });
+    } catch (error) {
+        logger.error('Error disabling coupon', { error });
+        res.status(500).json({ success: false, error: error.message || 'Failed to disable coupon' });
+    }
+});
+
+module.exports = router;
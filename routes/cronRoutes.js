@@ -0,0 +1,45 @@
+// routes/cronRoutes.js
+//
+// Entry points for scheduled jobs. On Vercel there is no long-running process
+// for the in-process timers, so vercel.json schedules these instead. Vercel
+// Cron calls them with GET.
+const express = require('express');
+const router = express.Router();
+const { verifyCronSecret } = require('../middleware/auth');
+const { runReminders } = require('../services/reminderService');
+const { processOutbox } = require('../services/mailService');
+const { getDefaultStore } = require('../middleware/rateLimit');
+const { logger } = require('../services/logger');
+
+router.get('/cron/reminders', verifyCronSecret, async (req, res) => {
+    try {
+        const events = await runReminders();
+        res.json({ success: true, events });
+    } catch (error) {
+        logger.error('Error running reminders', { error });
+        res.status(500).json({ success: false, error: 'Failed to run reminders' });
+    }
+});
+
+router.get('/cron/mail-outbox', verifyCronSecret, async (req, res) => {
+    try {
+        const summary = await processOutbox();
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        logger.error('Error processing outbox', { error });
+        res.status(500).json({ success: false, error: 'Failed to process outbox' });
+    }
+});
+
+// Expired rate limit windows (only stored in RTDB on serverless)
+router.get('/cron/rate-limits', verifyCronSecret, async (req, res) => {
+    try {
+        const removed = await getDefaultStore().prune();
+        res.json({ success: true, removed });
+    } catch (error) {
+        logger.error('Error pruning rate limits', { error });
+        res.status(500).json({ success: false, error: 'Failed to prune rate limits' });
+    }
+});
+
+module.exports = router;
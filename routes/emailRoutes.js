@@ -0,0 +1,159 @@
+// routes/emailRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate, fields } = require('../middleware/validate');
+const { renderEmail, listTemplates, getSampleData } = require('../services/templateService');
+const {
+    MESSAGE_STATUSES,
+    processOutbox,
+    getMessage,
+    listMessages,
+    resendMessage
+} = require('../services/mailService');
+const { logger } = require('../services/logger');
+
+const PREVIEW_FORMATS = ['html', 'text', 'json'];
+
+const templateParams = { name: fields.id({ required: true }) };
+const previewQuery = { format: fields.string({ enum: PREVIEW_FORMATS, default: 'json' }) };
+
+// Outbox ids are dedupe keys made safe for RTDB, so any key up to its limit
+const messageParams = { messageId: fields.string({ required: true, max: 768 }) };
+
+// Render a template for preview. `format=html` returns the page as it
+// would appear in a mail client, `text` the plain-text part and `json`
+// (default) all parts together.
+function sendPreview(req, res, data) {
+    const { format } = req.query;
+    const rendered = renderEmail(req.params.name, data);
+
+    if (format === 'html') {
+        return res.type('html').send(rendered.html);
+    }
+    if (format === 'text') {
+        return res.type('text').send(rendered.text);
+    }
+
+    res.json({ success: true, template: req.params.name, ...rendered });
+}
+
+router.get('/admin/email-templates', authenticateFirebase, requirePermission('email:manage'), (req, res) => {
+    try {
+        res.json({ success: true, templates: listTemplates() });
+    } catch (error) {
+        logger.error('Error listing email templates', { error });
+        res.status(500).json({ success: false, error: 'Failed to list email templates' });
+    }
+});
+
+// Preview with the sample data stored next to the template
+router.get('/admin/email-templates/:name/preview', authenticateFirebase, requirePermission('email:manage'), validate({
+    params: templateParams,
+    query: previewQuery
+}), (req, res) => {
+    try {
+        if (!listTemplates().includes(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Email template not found' });
+        }
+
+        sendPreview(req, res, getSampleData(req.params.name));
+    } catch (error) {
+        logger.error('Error previewing email template', { error });
+        res.status(500).json({ success: false, error: error.message || 'Failed to render email template' });
+    }
+});
+
+// Preview with custom data, merged over the sample data. The body is the
+// template's own data, so it is free-form; it is only rendered, never stored.
+router.post('/admin/email-templates/:name/preview', authenticateFirebase, requirePermission('email:manage'), validate({
+    params: templateParams,
+    query: previewQuery
+}), (req, res) => {
+    try {
+        if (!listTemplates().includes(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Email template not found' });
+        }
+
+        sendPreview(req, res, { ...getSampleData(req.params.name), ...(req.body || {}) });
+    } catch (error) {
+        logger.error('Error previewing email template', { error });
+        res.status(500).json({ success: false, error: error.message || 'Failed to render email template' });
+    }
+});
+
+// Outbox: every email the backend has sent or is still trying to send
+router.get('/admin/emails', authenticateFirebase, requirePermission('email:manage'), validate({
+    query: {
+        status: fields.string({ enum: MESSAGE_STATUSES }),
+        limit: fields.integer({ min: 1, max: 200, default: 50 })
+    }
+}), async (req, res) => {
+    try {
+        const { status, limit } = req.query;
+        const emails = await listMessages({ status, limit });
+        res.json({ success: true, emails });
+    } catch (error) {
+        logger.error('Error fetching outbox', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch emails' });
+    }
+});
+
+router.get('/admin/emails/:messageId', authenticateFirebase, requirePermission('email:manage'), validate({
+    params: messageParams
+}), async (req, res) => {
+    try {
+        const email = await getMessage(req.params.messageId);
+
+        if (!email) {
+            return res.status(404).json({ success: false, error: 'Email not found' });
+        }
+
+        res.json({ success: true, email });
+    } catch (error) {
+        logger.error('Error fetching email', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch email' });
+    }
+});
+
+router.post('/admin/emails/:messageId/resend', authenticateFirebase, requirePermission('email:manage'), validate({
+    params: messageParams
+}), async (req, res) => {
+    try {
+        const email = await resendMessage(req.params.messageId, req.user.uid);
+
+        if (!email) {
+            return res.status(404).json({ success: false, error: 'Email not found' });
+        }
+
+        await audit(req, 'email.resend', {
+            targetType: 'email',
+            targetId: req.params.messageId,
+            after: { status: email.status, to: email.to }
+        });
+
+        res.json({
+            success: true,
+            message: email.status === 'sent' ? 'Email resent successfully' : 'Email queued for another attempt',
+            email
+        });
+    } catch (error) {
+        logger.error('Error resending email', { error });
+        res.status(error.status || 500).json({ success: false, error: error.message || 'Failed to resend email' });
+    }
+});
+
+// Run the retry pass now instead of waiting for the worker
+router.post('/admin/emails/process', authenticateFirebase, requirePermission('email:manage'), async (req, res) => {
+    try {
+        const summary = await processOutbox();
+        await audit(req, 'email.process', { targetType: 'mailOutbox', details: summary });
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        logger.error('Error processing outbox', { error });
+        res.status(500).json({ success: false, error: 'Failed to process outbox' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+// routes/errorRoutes.js
+//
+// Admin dashboard API for client-side errors reported to /api/log-error
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate, fields } = require('../middleware/validate');
+const {
+    ERROR_STATUSES,
+    listErrorGroups,
+    getErrorGroup,
+    updateErrorGroupStatus,
+    saveSourceMap,
+    listSourceMaps
+} = require('../services/errorReportService');
+const { logger } = require('../services/logger');
+
+const groupParams = { fingerprint: fields.string({ required: true, max: 64, pattern: /^[a-f0-9]+$/ }) };
+
+// Error report service errors carry the HTTP status to respond with
+function sendServiceError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+// Groups, most recently seen (or most frequent with sort=count) first
+router.get('/admin/errors', authenticateFirebase, requirePermission('errors:manage'), validate({
+    query: {
+        status: fields.string({ enum: [...ERROR_STATUSES, 'all'], default: 'open' }),
+        release: fields.string({ max: 100 }),
+        sort: fields.string({ enum: ['lastSeen', 'count'], default: 'lastSeen' }),
+        limit: fields.integer({ min: 1, max: 200, default: 50 })
+    }
+}), async (req, res) => {
+    try {
+        const result = await listErrorGroups(req.query);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error('Error fetching error groups', { error });
+        sendServiceError(res, error, 'Failed to fetch errors');
+    }
+});
+
+// One group with its latest occurrences, de-minified where a source map
+// for the release was uploaded
+router.get('/admin/errors/:fingerprint', authenticateFirebase, requirePermission('errors:manage'), validate({
+    params: groupParams,
+    query: { events: fields.integer({ min: 1, max: 50, default: 20 }) }
+}), async (req, res) => {
+    try {
+        const group = await getErrorGroup(req.params.fingerprint, { events: req.query.events });
+
+        if (!group) {
+            return res.status(404).json({ success: false, error: 'Error group not found' });
+        }
+
+        res.json({ success: true, group });
+    } catch (error) {
+        logger.error('Error fetching error group', { error });
+        sendServiceError(res, error, 'Failed to fetch error group');
+    }
+});
+
+// Resolve, reopen or mute (optionally until `mutedUntil`) a group. A
+// resolved group reopens by itself when the error happens again.
+router.put('/admin/errors/:fingerprint/status', authenticateFirebase, requirePermission('errors:manage'), validate({
+    params: groupParams,
+    body: {
+        status: fields.string({ required: true, enum: ERROR_STATUSES }),
+        mutedUntil: fields.date()
+    }
+}), async (req, res) => {
+    try {
+        const { status, mutedUntil } = req.body;
+        const group = await updateErrorGroupStatus(req.params.fingerprint, status, {
+            adminUid: req.user.uid,
+            mutedUntil
+        });
+        await audit(req, 'error.status', {
+            targetType: 'errorGroup',
+            targetId: req.params.fingerprint,
+            after: { status, mutedUntil: group.mutedUntil }
+        });
+
+        res.json({ success: true, group });
+    } catch (error) {
+        logger.error('Error updating error group', { error });
+        sendServiceError(res, error, 'Failed to update error group');
+    }
+});
+
+// Upload the source map of one bundle file for a release; typically called
+// from the frontend build (`file` is the bundle's name or URL)
+router.post('/admin/source-maps', authenticateFirebase, requirePermission('errors:manage'), validate({
+    body: {
+        release: fields.string({ required: true, max: 100 }),
+        file: fields.string({ required: true, max: 500 }),
+        sourceMap: fields.json({ required: true, maxBytes: 15 * 1024 * 1024 })
+    }
+}), async (req, res) => {
+    try {
+        const sourceMap = await saveSourceMap({ ...req.body, adminUid: req.user.uid });
+        await audit(req, 'sourcemap.upload', {
+            targetType: 'sourceMap',
+            targetId: `${sourceMap.release}/${sourceMap.file}`,
+            after: sourceMap
+        });
+
+        res.status(201).json({ success: true, sourceMap });
+    } catch (error) {
+        logger.error('Error saving source map', { error });
+        sendServiceError(res, error, 'Failed to save source map');
+    }
+});
+
+router.get('/admin/source-maps', authenticateFirebase, requirePermission('errors:manage'), validate({
+    query: { release: fields.string({ max: 100 }) }
+}), async (req, res) => {
+    try {
+        const sourceMaps = await listSourceMaps(req.query.release);
+        res.json({ success: true, sourceMaps });
+    } catch (error) {
+        logger.error('Error fetching source maps', { error });
+        sendServiceError(res, error, 'Failed to fetch source maps');
+    }
+});
+
+module.exports = router;
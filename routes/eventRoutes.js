@@ -0,0 +1,212 @@
+// routes/eventRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate, fields } = require('../middleware/validate');
+const {
+    EVENT_STATUSES,
+    normalizeEventInput,
+    getEvent,
+    listEvents,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+    toPublicEvent
+} = require('../services/eventService');
+const { getReminderDeliveries } = require('../services/reminderService');
+const { logger } = require('../services/logger');
+
+const eventParams = { eventId: fields.id({ required: true }) };
+
+// Types and sizes only, so it serves updates too; normalizeEventInput()
+// checks what a new event needs and how the fields fit together
+const eventBody = {
+    title: fields.string({ max: 200 }),
+    startsAt: fields.date(),
+    endsAt: fields.date({ nullable: true }),
+    timezone: fields.string({ max: 64 }),
+    venue: fields.string({ max: 300 }),
+    joinLink: fields.string({ max: 2000, nullable: true }),
+    basePrice: fields.number({ min: 0 }),
+    currency: fields.string({ pattern: /^[A-Za-z]{3}$/, patternMessage: 'must be a 3-letter currency code' }),
+    status: fields.string({ enum: EVENT_STATUSES }),
+    reminderOffsets: fields.array(fields.string({ max: 10 }), { max: 10, nullable: true }),
+    description: fields.string({ max: 5000, nullable: true }),
+    confirmationMessage: fields.string({ max: 2000, nullable: true })
+};
+
+// Public: upcoming events that are open for registration
+router.get('/events', async (req, res) => {
+    try {
+        const events = await listEvents({ status: 'published' });
+
+        res.json({
+            success: true,
+            events: events.map(toPublicEvent)
+        });
+    } catch (error) {
+        logger.error('Error fetching events', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch events' });
+    }
+});
+
+// Public: single event details (price, schedule, venue)
+router.get('/events/:eventId', validate({ params: eventParams }), async (req, res) => {
+    try {
+        const event = await getEvent(req.params.eventId);
+
+        if (!event || event.status === 'draft') {
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+
+        res.json({ success: true, event: toPublicEvent(event) });
+    } catch (error) {
+        logger.error('Error fetching event', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch event' });
+    }
+});
+
+// Admin: list all events, optionally filtered by status
+router.get('/admin/events', authenticateFirebase, requirePermission('events:manage'), validate({
+    query: { status: fields.string({ enum: EVENT_STATUSES }) }
+}), async (req, res) => {
+    try {
+        const events = await listEvents({ status: req.query.status });
+        res.json({ success: true, events });
+    } catch (error) {
+        logger.error('Error fetching events', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch events' });
+    }
+});
+
+router.get('/admin/events/:eventId', authenticateFirebase, requirePermission('events:manage'), validate({
+    params: eventParams
+}), async (req, res) => {
+    try {
+        const event = await getEvent(req.params.eventId);
+
+        if (!event) {
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+
+        res.json({ success: true, event });
+    } catch (error) {
+        logger.error('Error fetching event', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch event' });
+    }
+});
+
+router.post('/admin/events', authenticateFirebase, requirePermission('events:manage'), validate({
+    body: eventBody
+}), async (req, res) => {
+    try {
+        const { event, errors } = normalizeEventInput(req.body);
+
+        if (errors.length) {
+            return res.status(400).json({ success: false, error: 'Invalid event', details: errors });
+        }
+
+        const created = await createEvent(event);
+        await audit(req, 'event.create', { targetType: 'event', targetId: created.id, after: created });
+
+        res.status(201).json({
+            success: true,
+            message: 'Event created successfully',
+            event: created
+        });
+    } catch (error) {
+        logger.error('Error creating event', { error });
+        res.status(500).json({ success: false, error: error.message || 'Failed to create event' });
+    }
+});
+
+router.put('/admin/events/:eventId', authenticateFirebase, requirePermission('events:manage'), validate({
+    params: eventParams,
+    body: eventBody
+}), async (req, res) => {
+    try {
+        const { eventId } = req.params;
+        const existing = await getEvent(eventId);
+
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+
+        const { event, errors } = normalizeEventInput(req.body, { partial: true });
+
+        // Check the resulting schedule, not just the fields that were sent
+        const startsAt = event.startsAt || existing.startsAt;
+        const endsAt = event.endsAt !== undefined ? event.endsAt : existing.endsAt;
+        if (startsAt && endsAt && endsAt <= startsAt && !errors.includes('endsAt must be after startsAt')) {
+            errors.push('endsAt must be after startsAt');
+        }
+
+        if (errors.length) {
+            return res.status(400).json({ success: false, error: 'Invalid event', details: errors });
+        }
+
+        const updated = await updateEvent(eventId, event);
+        await audit(req, 'event.update', { targetType: 'event', targetId: eventId, before: existing, after: updated });
+
+        res.json({
+            success: true,
+            message: 'Event updated successfully',
+            event: updated
+        });
+    } catch (error) {
+        logger.error('Error updating event', { error });
+        res.status(500).json({ success: false, error: error.message || 'Failed to update event' });
+    }
+});
+
+// Reminder emails recorded for the event, grouped by offset
+router.get('/admin/events/:eventId/reminders', authenticateFirebase, requirePermission('events:manage'), validate({
+    params: eventParams
+}), async (req, res) => {
+    try {
+        const event = await getEvent(req.params.eventId);
+
+        if (!event) {
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+
+        const deliveries = await getReminderDeliveries(event.id);
+        res.json({ success: true, eventId: event.id, deliveries });
+    } catch (error) {
+        logger.error('Error fetching reminder deliveries', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch reminder deliveries' });
+    }
+});
+
+// Only drafts can be removed outright; anything that may have registrations
+// should be cancelled instead so orders keep pointing at a real event
+router.delete('/admin/events/:eventId', authenticateFirebase, requirePermission('events:manage'), validate({
+    params: eventParams
+}), async (req, res) => {
+    try {
+        const { eventId } = req.params;
+        const existing = await getEvent(eventId);
+
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+
+        if (existing.status !== 'draft') {
+            return res.status(409).json({
+                success: false,
+                error: 'Only draft events can be deleted. Set the status to "cancelled" instead.'
+            });
+        }
+
+        await deleteEvent(eventId);
+        await audit(req, 'event.delete', { targetType: 'event', targetId: eventId, before: existing });
+
+        res.json({ success: true, message: 'Event deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting event', { error });
+        res.status(500).json({ success: false, error: error.message || 'Failed to delete event' });
+    }
+});
+
+module.exports = router;
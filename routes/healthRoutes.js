@@ -0,0 +1,30 @@
+// routes/healthRoutes.js
+//
+// Probes for uptime monitors and load balancers:
+//   /health/live   the process is up; cheap, touches no dependency
+//   /health/ready  probes the database, email and payment gateway
+//                  (services/healthService.js); 503 when the service is down
+//   /health        same report as /health/ready
+const express = require('express');
+const router = express.Router();
+const { getReadiness, getLiveness } = require('../services/healthService');
+const { logger } = require('../services/logger');
+
+router.get('/health/live', (req, res) => {
+    res.json(getLiveness());
+});
+
+async function sendReadiness(req, res) {
+    try {
+        const report = await getReadiness();
+        res.status(report.status === 'down' ? 503 : 200).json(report);
+    } catch (error) {
+        logger.error('Error running health checks', { error });
+        res.status(503).json({ status: 'down', error: 'Health checks failed to run' });
+    }
+}
+
+router.get('/health/ready', sendReadiness);
+router.get('/health', sendReadiness);
+
+module.exports = router;
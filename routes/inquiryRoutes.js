@@ -0,0 +1,155 @@
+// routes/inquiryRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate, fields } = require('../middleware/validate');
+const {
+    INQUIRY_STATUSES,
+    getInquiry,
+    listInquiries,
+    updateStatus,
+    assignInquiry,
+    addNote,
+    replyToInquiry
+} = require('../services/inquiryService');
+const { logger } = require('../services/logger');
+
+const inquiryParams = { inquiryId: fields.id({ required: true }) };
+
+// Inquiry service errors carry the HTTP status to respond with
+function sendServiceError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+// Admin: the inbox, newest first
+router.get('/admin/inquiries', authenticateFirebase, requirePermission('inquiries:read'), validate({
+    query: {
+        status: fields.string({ enum: INQUIRY_STATUSES }),
+        courseInterest: fields.string({ max: 50 }),
+        assignedTo: fields.id(),
+        limit: fields.integer({ min: 1, max: 200, default: 50 })
+    }
+}), async (req, res) => {
+    try {
+        const inquiries = await listInquiries(req.query);
+        res.json({ success: true, inquiries });
+    } catch (error) {
+        logger.error('Error fetching inquiries', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch inquiries' });
+    }
+});
+
+// Admin: one inquiry with its notes, replies and history
+router.get('/admin/inquiries/:inquiryId', authenticateFirebase, requirePermission('inquiries:read'), validate({
+    params: inquiryParams
+}), async (req, res) => {
+    try {
+        const inquiry = await getInquiry(req.params.inquiryId, { withThread: true });
+
+        if (!inquiry) {
+            return res.status(404).json({ success: false, error: 'Inquiry not found' });
+        }
+
+        res.json({ success: true, inquiry });
+    } catch (error) {
+        logger.error('Error fetching inquiry', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch inquiry' });
+    }
+});
+
+router.put('/admin/inquiries/:inquiryId/status', authenticateFirebase, requirePermission('inquiries:manage'), validate({
+    params: inquiryParams,
+    body: {
+        status: fields.string({ required: true, enum: INQUIRY_STATUSES }),
+        note: fields.string({ max: 2000 })
+    }
+}), async (req, res) => {
+    try {
+        const before = await getInquiry(req.params.inquiryId);
+        const inquiry = await updateStatus(req.params.inquiryId, req.body.status, {
+            adminUid: req.user.uid,
+            note: req.body.note
+        });
+        await audit(req, 'inquiry.status', {
+            targetType: 'inquiry',
+            targetId: inquiry.id,
+            before: before && { status: before.status },
+            after: { status: inquiry.status },
+            details: { note: req.body.note }
+        });
+
+        res.json({ success: true, message: `Inquiry marked as ${inquiry.status}`, inquiry });
+    } catch (error) {
+        logger.error('Error updating inquiry status', { error });
+        sendServiceError(res, error, 'Failed to update inquiry');
+    }
+});
+
+// Leave assignedTo out to unassign
+router.put('/admin/inquiries/:inquiryId/assign', authenticateFirebase, requirePermission('inquiries:manage'), validate({
+    params: inquiryParams,
+    body: { assignedTo: fields.id() }
+}), async (req, res) => {
+    try {
+        const before = await getInquiry(req.params.inquiryId);
+        const inquiry = await assignInquiry(req.params.inquiryId, req.body.assignedTo, { adminUid: req.user.uid });
+        await audit(req, 'inquiry.assign', {
+            targetType: 'inquiry',
+            targetId: inquiry.id,
+            before: before && { assignedTo: before.assignedTo || null },
+            after: { assignedTo: inquiry.assignedTo || null }
+        });
+
+        res.json({
+            success: true,
+            message: inquiry.assignedTo ? 'Inquiry assigned' : 'Inquiry unassigned',
+            inquiry
+        });
+    } catch (error) {
+        logger.error('Error assigning inquiry', { error });
+        sendServiceError(res, error, 'Failed to assign inquiry');
+    }
+});
+
+router.post('/admin/inquiries/:inquiryId/notes', authenticateFirebase, requirePermission('inquiries:manage'), validate({
+    params: inquiryParams,
+    body: { note: fields.string({ required: true, max: 5000 }) }
+}), async (req, res) => {
+    try {
+        const entry = await addNote(req.params.inquiryId, req.body.note, { adminUid: req.user.uid });
+        await audit(req, 'inquiry.note', { targetType: 'inquiry', targetId: req.params.inquiryId, after: entry });
+        res.status(201).json({ success: true, entry });
+    } catch (error) {
+        logger.error('Error adding inquiry note', { error });
+        sendServiceError(res, error, 'Failed to add note');
+    }
+});
+
+// Email a reply to the person who asked; it is logged on the thread
+router.post('/admin/inquiries/:inquiryId/reply', authenticateFirebase, requirePermission('inquiries:manage'), validate({
+    params: inquiryParams,
+    body: {
+        subject: fields.string({ max: 200 }),
+        message: fields.string({ required: true, max: 10000 })
+    }
+}), async (req, res) => {
+    try {
+        const entry = await replyToInquiry(req.params.inquiryId, req.body, { adminUid: req.user.uid });
+        await audit(req, 'inquiry.reply', { targetType: 'inquiry', targetId: req.params.inquiryId, after: entry });
+
+        res.status(201).json({
+            success: true,
+            message: entry.emailStatus === 'sent' ? 'Reply sent' : 'Reply queued for delivery',
+            entry
+        });
+    } catch (error) {
+        logger.error('Error replying to inquiry', { error });
+        sendServiceError(res, error, 'Failed to send reply');
+    }
+});
+
+module.exports = router;
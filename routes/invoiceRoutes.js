@@ -0,0 +1,71 @@
+// routes/invoiceRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { validate, fields } = require('../middleware/validate');
+const { getRegistration } = require('../services/registrationService');
+const { getInvoice, renderInvoicePdf, invoiceFileName } = require('../services/invoiceService');
+const { logger } = require('../services/logger');
+
+async function sendInvoicePdf(res, invoice) {
+    const pdf = await renderInvoicePdf(invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoiceFileName(invoice)}"`);
+    res.send(pdf);
+}
+
+// Participant: download the invoice for their own paid registration
+router.get('/registrations/:registrationId/invoice', authenticateFirebase, validate({
+    params: { registrationId: fields.id({ required: true }) }
+}), async (req, res) => {
+    try {
+        // Anyone can sign up with someone else's address, so the email only
+        // counts once Firebase has verified it
+        const registration = await getRegistration(req.params.registrationId);
+        const isOwner = registration && (
+            (registration.uid && registration.uid === req.user.uid) ||
+            (req.user.email_verified === true && req.user.email &&
+                String(registration.email).toLowerCase() === req.user.email.toLowerCase())
+        );
+
+        if (!isOwner) {
+            return res.status(404).json({ success: false, error: 'Registration not found' });
+        }
+
+        const invoice = registration.transactionId ? await getInvoice(registration.transactionId) : null;
+        if (!invoice) {
+            return res.status(404).json({ success: false, error: 'No invoice has been issued for this registration' });
+        }
+
+        await sendInvoicePdf(res, invoice);
+    } catch (error) {
+        logger.error('Error downloading invoice', { error });
+        res.status(500).json({ success: false, error: 'Failed to generate invoice' });
+    }
+});
+
+// Admin: invoice for a payment, as the PDF or (format=json) the stored record
+router.get('/admin/payments/:paymentId/invoice', authenticateFirebase, requirePermission('payments:read'), validate({
+    params: { paymentId: fields.id({ required: true }) },
+    query: { format: fields.string({ enum: ['pdf', 'json'], default: 'pdf' }) }
+}), async (req, res) => {
+    try {
+        const invoice = await getInvoice(req.params.paymentId);
+
+        if (!invoice) {
+            return res.status(404).json({ success: false, error: 'Invoice not found' });
+        }
+
+        if (req.query.format === 'json') {
+            return res.json({ success: true, invoice });
+        }
+
+        await sendInvoicePdf(res, invoice);
+    } catch (error) {
+        logger.error('Error fetching invoice', { error });
+        res.status(500).json({ success: false, error: 'Failed to generate invoice' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// routes/mockGatewayRoutes.js
+//
+// Stand-in for the checkout widget when PAYMENT_GATEWAY=mock. Mounted only
+// with the mock gateway, which itself refuses to run in production.
+const express = require('express');
+const router = express.Router();
+const { validate, fields } = require('../middleware/validate');
+const { getPaymentGateway } = require('../payments');
+const { PAYMENT_OUTCOMES } = require('../payments/mockGateway');
+const { logger } = require('../services/logger');
+
+// Pay for an order. The response is the body for POST /api/confirm-payment;
+// the webhooks for the outcome are sent by the gateway itself.
+router.post('/mock-gateway/orders/:orderId/pay', validate({
+    params: { orderId: fields.id({ required: true }) },
+    body: {
+        outcome: fields.string({ enum: PAYMENT_OUTCOMES, default: 'success' }),
+        delayMs: fields.integer({ min: 0, max: 10 * 60 * 1000 }),
+        errorDescription: fields.string({ max: 200 })
+    }
+}), async (req, res) => {
+    try {
+        const checkout = await getPaymentGateway().simulatePayment(req.params.orderId, req.body);
+        res.json({ success: !checkout.error, ...checkout });
+    } catch (error) {
+        logger.error('Error simulating payment', { error });
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to simulate payment'
+        });
+    }
+});
+
+module.exports = router;
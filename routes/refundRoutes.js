@@ -0,0 +1,177 @@
+// routes/refundRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate, fields } = require('../middleware/validate');
+const {
+    REFUND_STATUSES,
+    CANCELLATION_STATUSES,
+    listRefunds,
+    createRefund,
+    listCancellationRequests,
+    createCancellationRequest,
+    approveCancellationRequest,
+    rejectCancellationRequest
+} = require('../services/refundService');
+const { logger } = require('../services/logger');
+
+const requestParams = { requestId: fields.id({ required: true }) };
+
+// Refund service errors carry the HTTP status to respond with
+function sendServiceError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+
+    // Errors from the Razorpay API
+    if (error.error && error.error.description) {
+        return res.status(502).json({ success: false, error: error.error.description });
+    }
+
+    res.status(500).json({ success: false, error: error.message || fallbackMessage });
+}
+
+// Participant asks to cancel their (paid) registration
+router.post('/registrations/:registrationId/cancellation-request', authenticateFirebase, validate({
+    params: { registrationId: fields.id({ required: true }) },
+    body: { reason: fields.string({ max: 2000 }) }
+}), async (req, res) => {
+    try {
+        const request = await createCancellationRequest({
+            registrationId: req.params.registrationId,
+            email: req.user.email,
+            emailVerified: req.user.email_verified,
+            uid: req.user.uid,
+            reason: req.body.reason
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Your cancellation request has been received',
+            request
+        });
+    } catch (error) {
+        logger.error('Error creating cancellation request', { error });
+        sendServiceError(res, error, 'Failed to create cancellation request');
+    }
+});
+
+router.get('/admin/refunds', authenticateFirebase, requirePermission('refunds:manage'), validate({
+    query: {
+        status: fields.string({ enum: REFUND_STATUSES }),
+        paymentId: fields.id()
+    }
+}), async (req, res) => {
+    try {
+        const { status, paymentId } = req.query;
+        const refunds = await listRefunds({ status, paymentId });
+        res.json({ success: true, refunds });
+    } catch (error) {
+        logger.error('Error fetching refunds', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch refunds' });
+    }
+});
+
+// Full refund when `amount` (rupees) is omitted, partial otherwise
+router.post('/admin/payments/:paymentId/refunds', authenticateFirebase, requirePermission('refunds:manage'), validate({
+    params: { paymentId: fields.id({ required: true }) },
+    body: {
+        amount: fields.number({ min: 0.01 }),
+        reason: fields.string({ max: 2000 })
+    }
+}), async (req, res) => {
+    try {
+        const { amount, reason } = req.body;
+
+        const refund = await createRefund({
+            paymentId: req.params.paymentId,
+            amount,
+            reason,
+            requestedBy: req.user.uid
+        });
+        await audit(req, 'refund.create', {
+            targetType: 'payment',
+            targetId: req.params.paymentId,
+            after: refund,
+            details: { amount, reason }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Refund initiated successfully',
+            refund
+        });
+    } catch (error) {
+        logger.error('Error creating refund', { error });
+        sendServiceError(res, error, 'Failed to create refund');
+    }
+});
+
+router.get('/admin/cancellation-requests', authenticateFirebase, requirePermission('refunds:manage'), validate({
+    query: { status: fields.string({ enum: CANCELLATION_STATUSES }) }
+}), async (req, res) => {
+    try {
+        const requests = await listCancellationRequests({ status: req.query.status });
+        res.json({ success: true, requests });
+    } catch (error) {
+        logger.error('Error fetching cancellation requests', { error });
+        res.status(500).json({ success: false, error: 'Failed to fetch cancellation requests' });
+    }
+});
+
+router.put('/admin/cancellation-requests/:requestId/approve', authenticateFirebase, requirePermission('refunds:manage'), validate({
+    params: requestParams,
+    body: { amount: fields.number({ min: 0.01 }) }
+}), async (req, res) => {
+    try {
+        const result = await approveCancellationRequest(req.params.requestId, {
+            amount: req.body.amount,
+            adminUid: req.user.uid
+        });
+        await audit(req, 'cancellation.approve', {
+            targetType: 'cancellationRequest',
+            targetId: req.params.requestId,
+            before: { status: 'pending' },
+            after: result
+        });
+
+        res.json({
+            success: true,
+            message: 'Cancellation approved and refund initiated',
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error approving cancellation request', { error });
+        sendServiceError(res, error, 'Failed to approve cancellation request');
+    }
+});
+
+router.put('/admin/cancellation-requests/:requestId/reject', authenticateFirebase, requirePermission('refunds:manage'), validate({
+    params: requestParams,
+    body: { note: fields.string({ max: 2000 }) }
+}), async (req, res) => {
+    try {
+        const request = await rejectCancellationRequest(req.params.requestId, {
+            note: req.body.note,
+            adminUid: req.user.uid
+        });
+        await audit(req, 'cancellation.reject', {
+            targetType: 'cancellationRequest',
+            targetId: req.params.requestId,
+            before: { status: 'pending' },
+            after: request
+        });
+
+        res.json({
+            success: true,
+            message: 'Cancellation request rejected',
+            request
+        });
+    } catch (error) {
+        logger.error('Error rejecting cancellation request', { error });
+        sendServiceError(res, error, 'Failed to reject cancellation request');
+    }
+});
+
+module.exports = router;
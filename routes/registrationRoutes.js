@@ -0,0 +1,117 @@
+// routes/registrationRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { validate, fields } = require('../middleware/validate');
+const {
+    REGISTRATION_STATES,
+    SORT_FIELDS,
+    getState,
+    findRegistrations,
+    listRegistrations
+} = require('../services/registrationService');
+const { normalizeCode } = require('../services/couponService');
+const { EXPORT_FORMATS, sendExport } = require('../services/exportService');
+const { logger } = require('../services/logger');
+
+// Shared by the listing and the export so both see the same rows
+const filterQuery = {
+    status: fields.string({ enum: REGISTRATION_STATES }),
+    eventId: fields.id(),
+    from: fields.date(),
+    to: fields.date(),
+    discount: fields.boolean(),
+    couponCode: fields.string({ max: 32 }),
+    q: fields.string({ max: 100 }),
+    sort: fields.string({ enum: Object.keys(SORT_FIELDS), default: 'timestamp' }),
+    order: fields.string({ enum: ['asc', 'desc'], default: 'desc' })
+};
+
+function getFilters(query) {
+    return {
+        status: query.status,
+        eventId: query.eventId,
+        from: query.from,
+        to: query.to,
+        discount: query.discount,
+        couponCode: query.couponCode ? normalizeCode(query.couponCode) : undefined,
+        search: query.q
+    };
+}
+
+const EXPORT_COLUMNS = [
+    { header: 'Registration ID', key: 'id', width: 24 },
+    { header: 'Registered At', key: 'timestamp', width: 26 },
+    { header: 'Full Name', key: 'fullName', width: 24 },
+    { header: 'Email', key: 'email', width: 30 },
+    { header: 'Phone', key: 'phone', width: 16 },
+    { header: 'City', key: 'city' },
+    { header: 'Event ID', key: 'eventId', width: 24 },
+    { header: 'Status', key: 'status', value: getState },
+    { header: 'Payment Status', key: 'paymentStatus' },
+    { header: 'Order ID', key: 'orderId', width: 24 },
+    { header: 'Payment ID', key: 'transactionId', width: 24 },
+    { header: 'Paid At', key: 'paymentTimestamp', width: 26 },
+    { header: 'Amount', key: 'orderAmount', width: 12 },
+    { header: 'Coupon', key: 'couponCode', width: 14 },
+    { header: 'Discount', key: 'discountAmount', width: 12 },
+    { header: 'Refunded', key: 'refundedAmount', width: 12 }
+];
+
+// Admin: one page of registrations. Pass `pageInfo.nextCursor` back as
+// `cursor` for the next page; `total` is only included when the filters
+// had to be applied in memory anyway.
+router.get('/admin/registrations', authenticateFirebase, requirePermission('registrations:read'), validate({
+    query: {
+        ...filterQuery,
+        limit: fields.integer({ min: 1, max: 200, default: 50 }),
+        cursor: fields.string({ max: 512 })
+    }
+}), async (req, res) => {
+    try {
+        const { sort, order, limit, cursor } = req.query;
+        const result = await listRegistrations(getFilters(req.query), { sort, order, limit, cursor });
+
+        res.json({
+            success: true,
+            registrations: result.registrations,
+            pageInfo: result.pageInfo
+        });
+    } catch (error) {
+        logger.error('Error fetching registrations', { error });
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to fetch registrations'
+        });
+    }
+});
+
+// Admin: the same filtered result as a CSV or XLSX download
+router.get('/admin/registrations/export', authenticateFirebase, requirePermission('registrations:export'), validate({
+    query: {
+        ...filterQuery,
+        format: fields.string({ enum: EXPORT_FORMATS, default: 'csv' })
+    }
+}), async (req, res) => {
+    try {
+        const { sort, order, format } = req.query;
+        const registrations = await findRegistrations(getFilters(req.query), { sort, order });
+
+        await sendExport(res, format, {
+            columns: EXPORT_COLUMNS,
+            rows: registrations,
+            filename: `registrations-${new Date().toISOString().slice(0, 10)}`,
+            sheetName: 'Registrations'
+        });
+    } catch (error) {
+        logger.error('Error exporting registrations', { error });
+
+        // Once streaming has started the only option is to cut the download short
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ success: false, error: 'Failed to export registrations' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+// routes/roleRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate, fields } = require('../middleware/validate');
+const {
+    ROLES,
+    ROLE_NAMES,
+    canGrant,
+    getUserRoles,
+    getPermissions,
+    assignRole,
+    revokeRole
+} = require('../services/roleService');
+const { logger } = require('../services/logger');
+
+const userParams = { userId: fields.id({ required: true }) };
+
+// Role service errors carry the HTTP status to respond with
+function sendServiceError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+// Admin: the available roles, and which of them the caller may hand out
+router.get('/admin/roles', authenticateFirebase, requirePermission('users:read'), (req, res) => {
+    res.json({
+        success: true,
+        roles: ROLE_NAMES.map(role => ({
+            name: role,
+            permissions: ROLES[role],
+            grantable: req.admin.permissions.includes('roles:manage') && canGrant(req.admin.roles, role)
+        })),
+        current: { roles: req.admin.roles, permissions: req.admin.permissions }
+    });
+});
+
+router.get('/admin/users/:userId/roles', authenticateFirebase, requirePermission('users:read'), validate({
+    params: userParams
+}), async (req, res) => {
+    try {
+        const roles = await getUserRoles(req.params.userId);
+        res.json({ success: true, userId: req.params.userId, roles, permissions: getPermissions(roles) });
+    } catch (error) {
+        logger.error('Error fetching user roles', { error });
+        sendServiceError(res, error, 'Failed to fetch user roles');
+    }
+});
+
+router.post('/admin/users/:userId/roles', authenticateFirebase, requirePermission('roles:manage'), validate({
+    params: userParams,
+    body: { role: fields.string({ required: true, enum: ROLE_NAMES }) }
+}), async (req, res) => {
+    try {
+        const before = await getUserRoles(req.params.userId);
+        const roles = await assignRole(req.params.userId, req.body.role, { actor: req.admin });
+        await audit(req, 'role.assign', {
+            targetType: 'user',
+            targetId: req.params.userId,
+            before: { roles: before },
+            after: { roles },
+            details: { role: req.body.role }
+        });
+        res.json({ success: true, message: `Role ${req.body.role} assigned`, userId: req.params.userId, roles });
+    } catch (error) {
+        logger.error('Error assigning role', { error });
+        sendServiceError(res, error, 'Failed to assign role');
+    }
+});
+
+router.delete('/admin/users/:userId/roles/:role', authenticateFirebase, requirePermission('roles:manage'), validate({
+    params: { ...userParams, role: fields.string({ required: true, enum: ROLE_NAMES }) }
+}), async (req, res) => {
+    try {
+        const before = await getUserRoles(req.params.userId);
+        const roles = await revokeRole(req.params.userId, req.params.role, { actor: req.admin });
+        await audit(req, 'role.revoke', {
+            targetType: 'user',
+            targetId: req.params.userId,
+            before: { roles: before },
+            after: { roles },
+            details: { role: req.params.role }
+        });
+        res.json({ success: true, message: `Role ${req.params.role} revoked`, userId: req.params.userId, roles });
+    } catch (error) {
+        logger.error('Error revoking role', { error });
+        sendServiceError(res, error, 'Failed to revoke role');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// routes/setupRoutes.js
+//
+// One-time creation of the first admin over HTTP (services/adminSetupService.js).
+// Mounted only with ADMIN_SETUP_ROUTE; production uses scripts/setup-admin.js.
+const express = require('express');
+const router = express.Router();
+const { validate, fields } = require('../middleware/validate');
+const { audit } = require('../middleware/audit');
+const { rateLimit } = require('../middleware/rateLimit');
+const { verifySetupToken, setupFirstAdmin } = require('../services/adminSetupService');
+const { logger } = require('../services/logger');
+
+// Every request counts, so guessing the token is as slow as it gets
+const setupLimiter = rateLimit({ name: 'setup-admin', max: 5, window: '1h' });
+
+// Setup service errors carry the HTTP status to respond with
+function sendServiceError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+router.post('/setup-admin', setupLimiter, validate({
+    body: {
+        adminEmail: fields.email({ required: true }),
+        password: fields.string({ min: 6, max: 128, trim: false }),
+        setupToken: fields.string({ required: true, max: 256 })
+    }
+}), async (req, res) => {
+    const { adminEmail, password, setupToken } = req.body;
+
+    try {
+        verifySetupToken(setupToken);
+
+        const result = await setupFirstAdmin({ email: adminEmail, password, source: 'http' });
+        await audit(req, 'admin.setup', {
+            targetType: 'user',
+            targetId: result.uid,
+            before: result.created ? undefined : { roles: result.before },
+            after: { roles: result.roles },
+            details: { email: adminEmail, existingUser: !result.created, source: 'http' }
+        });
+        logger.info('First admin set up', { uid: result.uid, created: result.created, ip: req.ip });
+
+        res.json({
+            success: true,
+            message: result.created ? 'New admin user created' : 'Admin privileges granted to existing user',
+            uid: result.uid
+        });
+    } catch (error) {
+        if (error.reason) {
+            logger.warn('Admin setup attempt rejected', { reason: error.reason, email: adminEmail, ip: req.ip });
+        } else {
+            logger.error('Error setting up admin', { error });
+        }
+        sendServiceError(res, error, 'Failed to setup admin user');
+    }
+});
+
+module.exports = router;
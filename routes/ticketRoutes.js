@@ -0,0 +1,98 @@
+// routes/ticketRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate, fields } = require('../middleware/validate');
+const { checkIn, getAttendance } = require('../services/ticketService');
+const { getEvent } = require('../services/eventService');
+const { EXPORT_FORMATS, sendExport } = require('../services/exportService');
+const { logger } = require('../services/logger');
+
+const ATTENDANCE_COLUMNS = [
+    { header: 'Registration ID', key: 'registrationId', width: 24 },
+    { header: 'Full Name', key: 'fullName', width: 24 },
+    { header: 'Email', key: 'email', width: 30 },
+    { header: 'Phone', key: 'phone', width: 16 },
+    { header: 'Status', key: 'status' },
+    { header: 'Ticket Code', key: 'ticketCode', width: 14 },
+    { header: 'Checked In At', key: 'checkedInAt', width: 26 }
+];
+
+// Admin: check a participant in by scanned QR token or typed short code.
+// Pass eventId to reject tickets for other events at the door.
+router.post('/admin/check-in', authenticateFirebase, requirePermission('attendance:manage'), validate({
+    body: {
+        token: fields.string({ max: 512 }),
+        code: fields.string({ max: 16 }),
+        eventId: fields.id()
+    }
+}), async (req, res) => {
+    try {
+        const { token, code, eventId } = req.body;
+
+        if (!token && !code) {
+            return res.status(400).json({ success: false, error: 'token or code is required' });
+        }
+
+        const result = await checkIn({ token, code, eventId, adminUid: req.user.uid });
+        await audit(req, 'ticket.check_in', {
+            targetType: 'registration',
+            targetId: result.ticket.registrationId,
+            after: { checkedInAt: result.ticket.checkedInAt, eventId: result.ticket.eventId }
+        });
+
+        res.json({
+            success: true,
+            message: `${result.participant.fullName || 'Participant'} checked in`,
+            ...result
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                checkedInAt: error.checkedInAt
+            });
+        }
+
+        logger.error('Error checking in ticket', { error });
+        res.status(500).json({ success: false, error: 'Failed to check in ticket' });
+    }
+});
+
+// Admin: confirmed registrants against check-ins, as JSON or a download
+router.get('/admin/events/:eventId/attendance', authenticateFirebase, requirePermission('attendance:manage'), validate({
+    params: { eventId: fields.id({ required: true }) },
+    query: { format: fields.string({ enum: ['json', ...EXPORT_FORMATS], default: 'json' }) }
+}), async (req, res) => {
+    try {
+        const event = await getEvent(req.params.eventId);
+
+        if (!event) {
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+
+        const attendance = await getAttendance(event.id);
+
+        if (req.query.format === 'json') {
+            return res.json({ success: true, ...attendance });
+        }
+
+        await sendExport(res, req.query.format, {
+            columns: ATTENDANCE_COLUMNS,
+            rows: attendance.attendees,
+            filename: `attendance-${event.id}`,
+            sheetName: 'Attendance'
+        });
+    } catch (error) {
+        logger.error('Error fetching attendance', { error });
+
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ success: false, error: 'Failed to fetch attendance' });
+    }
+});
+
+module.exports = router;
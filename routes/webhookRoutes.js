@@ -0,0 +1,102 @@
+// routes/webhookRoutes.js
+//
+// The payment gateway webhook, and the admin API for the events it stored
+// (see services/webhookService.js)
+const express = require('express');
+const router = express.Router();
+const { authenticateFirebase, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate, fields } = require('../middleware/validate');
+const {
+    WEBHOOK_EVENT_STATUSES,
+    receiveWebhook,
+    getWebhookEvent,
+    listWebhookEvents,
+    replayWebhookEvent
+} = require('../services/webhookService');
+const { logger } = require('../services/logger');
+
+const eventParams = { eventId: fields.string({ required: true, max: 128 }) };
+
+// Webhook service errors carry the HTTP status to respond with
+function sendServiceError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+// The body is kept raw by server.js: the signature is over the exact bytes.
+// Anything but a 2xx makes the gateway deliver the event again later.
+router.post('/inspiringshereen-webhook', async (req, res) => {
+    try {
+        const result = await receiveWebhook({
+            rawBody: Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '',
+            headers: req.headers
+        });
+
+        res.status(200).json({ success: true, duplicate: result.duplicate });
+    } catch (error) {
+        if (!error.status) {
+            logger.error('Error processing webhook', { error });
+        }
+        sendServiceError(res, error, 'Server error while processing webhook');
+    }
+});
+
+// Stored events, newest first, without their raw bodies
+router.get('/admin/webhook-events', authenticateFirebase, requirePermission('payments:read'), validate({
+    query: {
+        status: fields.string({ enum: WEBHOOK_EVENT_STATUSES }),
+        type: fields.string({ max: 100 }),
+        limit: fields.integer({ min: 1, max: 200, default: 50 })
+    }
+}), async (req, res) => {
+    try {
+        const events = await listWebhookEvents(req.query);
+        res.json({ success: true, events });
+    } catch (error) {
+        logger.error('Error fetching webhook events', { error });
+        sendServiceError(res, error, 'Failed to fetch webhook events');
+    }
+});
+
+// One event with its raw body as received
+router.get('/admin/webhook-events/:eventId', authenticateFirebase, requirePermission('payments:read'), validate({
+    params: eventParams
+}), async (req, res) => {
+    try {
+        const event = await getWebhookEvent(req.params.eventId);
+
+        if (!event) {
+            return res.status(404).json({ success: false, error: 'Webhook event not found' });
+        }
+
+        res.json({ success: true, event });
+    } catch (error) {
+        logger.error('Error fetching webhook event', { error });
+        sendServiceError(res, error, 'Failed to fetch webhook event');
+    }
+});
+
+// Process a stored event again. The response has the event as it is
+// afterwards; status "failed" and lastError tell whether the replay worked.
+router.post('/admin/webhook-events/:eventId/replay', authenticateFirebase, requirePermission('webhooks:manage'), validate({
+    params: eventParams
+}), async (req, res) => {
+    try {
+        const event = await replayWebhookEvent(req.params.eventId, { adminUid: req.user.uid });
+        await audit(req, 'webhook.replay', {
+            targetType: 'webhookEvent',
+            targetId: req.params.eventId,
+            after: { status: event.status, attempts: event.attempts, lastError: event.lastError || null }
+        });
+
+        res.json({ success: true, event });
+    } catch (error) {
+        logger.error('Error replaying webhook event', { error });
+        sendServiceError(res, error, 'Failed to replay webhook event');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+// scripts/setup-admin.js
+//
+// Grant `owner` to the first admin from a shell, so /api/setup-admin can
+// stay off (ADMIN_SETUP_ROUTE=false). Uses the same environment as the
+// server and works once, like the route (services/adminSetupService.js).
+//
+//   npm run setup-admin -- --email you@example.com
+//   npm run setup-admin -- --email you@example.com --force
+//
+// An account is created when none exists for the email; it gets no password
+// and the script prints a link to set one. --force grants owner even though
+// an owner exists, e.g. when every owner has lost access.
+require('dotenv').config();
+const os = require('os');
+const { parseArgs } = require('util');
+const admin = require('firebase-admin');
+const { ConfigError, loadConfig } = require('../config');
+const { configureLogger } = require('../services/logger');
+const { initializeFirebase } = require('../services/firebaseApp');
+const { setupFirstAdmin } = require('../services/adminSetupService');
+const { recordAudit } = require('../services/auditService');
+
+const USAGE = 'Usage: npm run setup-admin -- --email <email> [--force]';
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            email: { type: 'string' },
+            force: { type: 'boolean', default: false }
+        }
+    });
+    const email = (values.email || '').trim().toLowerCase();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)) {
+        throw new Error(USAGE);
+    }
+
+    const config = loadConfig();
+    configureLogger({ level: config.logLevel, format: config.logFormat });
+    initializeFirebase();
+
+    const result = await setupFirstAdmin({ email, source: 'cli', force: values.force });
+    await recordAudit({
+        actor: { userAgent: 'scripts/setup-admin.js' },
+        action: 'admin.setup',
+        targetType: 'user',
+        targetId: result.uid,
+        before: result.created ? undefined : { roles: result.before },
+        after: { roles: result.roles },
+        details: {
+            email,
+            existingUser: !result.created,
+            source: 'cli',
+            force: values.force,
+            osUser: os.userInfo().username,
+            host: os.hostname()
+        }
+    });
+
+    console.log(`${email} (${result.uid}) is now an owner`);
+    if (result.created) {
+        const link = await admin.auth().generatePasswordResetLink(email);
+        console.log(`New account created. Set its password at:\n${link}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        if (error instanceof ConfigError || error.status) {
+            console.error(error.message);
+        } else if (String(error.code).startsWith('ERR_PARSE_ARGS')) {
+            console.error(`${error.message}\n${USAGE}`);
+        } else {
+            console.error(error);
+        }
+        process.exit(1);
+    });
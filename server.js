@@ -1,68 +1,101 @@
 require('dotenv').config();
+const { ConfigError, loadConfig, getConfigWarnings, redactConfig } = require('./config');
+const { logger, configureLogger } = require('./services/logger');
+
+// Validate the whole environment before any module reads it, and refuse to
+// start with a list of everything that is wrong
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    logger.error('Invalid configuration', { appEnv: error.appEnv, problems: error.problems });
+    process.exit(1);
+}
+configureLogger({ level: config.logLevel, format: config.logFormat });
+
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const nodemailer = require('nodemailer');
-const crypto = require('crypto');
 const axios = require('axios');
 const admin = require('firebase-admin');
-const Razorpay = require('razorpay'); // Make sure this is installed
 const contactRoutes = require('./routes/contactRoutes');
-
-// Initialize Razorpay
-let razorpay;
-try {
-    razorpay = new Razorpay({
-        key_id: process.env.RAZORPAY_KEY_ID,
-        key_secret: process.env.RAZORPAY_KEY_SECRET
-    });
-
-    // Test the connection by making a simple API call
-    razorpay.payments.all({ count: 1 })
-        .then(() => console.log('✅ Razorpay connection successful'))
-        .catch(err => console.error('❌ Razorpay connection test failed:', err.message));
-} catch (error) {
-    console.error('❌ Failed to initialize Razorpay:', error.message);
-    // Don't exit process, allow server to start but payment will fail
-    razorpay = null;
-}
+const inquiryRoutes = require('./routes/inquiryRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const refundRoutes = require('./routes/refundRoutes');
+const registrationRoutes = require('./routes/registrationRoutes');
+const ticketRoutes = require('./routes/ticketRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const emailRoutes = require('./routes/emailRoutes');
+const cronRoutes = require('./routes/cronRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const errorRoutes = require('./routes/errorRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const mockGatewayRoutes = require('./routes/mockGatewayRoutes');
+const setupRoutes = require('./routes/setupRoutes');
+const { authenticateFirebase, optionalAuth, requirePermission, verifyMetricsToken } = require('./middleware/auth');
+const { validate, fields } = require('./middleware/validate');
+const { audit } = require('./middleware/audit');
+const { requestContext, REQUEST_ID_HEADER } = require('./middleware/requestContext');
+const { rateLimit, byEmail } = require('./middleware/rateLimit');
+const { spamGuard, isTimingEnabled, createFormToken } = require('./middleware/spamGuard');
+const { getEvent, getEventPrice, toPaise } = require('./services/eventService');
+const { validateCoupon } = require('./services/couponService');
+const { confirmPayment } = require('./services/paymentConfirmationService');
+const {
+    canTransition,
+    getState,
+    getRegistration,
+    createRegistration,
+    transitionRegistration,
+    findRegistrationIdByOrder
+} = require('./services/registrationService');
+const { getPaymentGateway } = require('./payments');
+const { recordClientError } = require('./services/errorReportService');
+const { startOutboxWorker } = require('./services/mailService');
+const { startReminderScheduler } = require('./services/reminderService');
+const { initializeFirebase } = require('./services/firebaseApp');
+const { listUsers, backfillProfiles } = require('./services/userDirectoryService');
+const { createOrder } = require('./repositories/orderRepository');
+const userRepository = require('./repositories/userRepository');
+const { ROLE_NAMES, canGrant, getUserRoles, setUserRoles, assertNotLastActiveOwner } = require('./services/roleService');
+const metrics = require('./services/metrics');
 
 // Initialize Firebase Admin SDK
-if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-    serviceAccount.private_key = serviceAccount.private_key.replace(/\\n/g, '\n');
-
-    admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount),
-        databaseURL: `https://${serviceAccount.project_id}-default-rtdb.firebaseio.com`
-    });
-} else {
-    console.error('Firebase service account not found in environment variables');
-    process.exit(1);
+if (!initializeFirebase()) {
+    // Offline mode: data comes from the memory backend and Firebase Auth is
+    // replaced by development tokens (see middleware/auth.js). Without memory
+    // storage the config refuses to load when the service account is missing.
+    logger.warn('Firebase service account not set; running on in-memory storage without Firebase');
 }
 
-// Get a database reference
-const db = admin.database();
-const registrationsRef = db.ref('registrations');
-const confirmedPaymentsRef = db.ref('confirmedPayments');
-
 const app = express();
-const PORT = process.env.PORT || 5000;
+const PORT = config.port;
+
+// Rate limits are per client IP, so req.ip must come from X-Forwarded-For
+// when running behind a proxy. TRUST_PROXY is the number of proxy hops.
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
+app.use(requestContext());
 app.use(cors({
     // origin: ["http://localhost:3000", "http://localhost:5173"],
     origin: '*', // This will allow all origins for development
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', REQUEST_ID_HEADER],
+    exposedHeaders: [REQUEST_ID_HEADER]
 }));
 
 // Alternative CORS setup if needed
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Access-Control-Allow-Headers', `Origin, X-Requested-With, Content-Type, Accept, Authorization, ${REQUEST_ID_HEADER}`);
+    res.header('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
     next();
 });
 
@@ -71,238 +104,218 @@ app.use((req, res, next) => {
     if (req.originalUrl === '/api/inspiringshereen-webhook') {
         // Raw body needed for webhook signature verification
         bodyParser.raw({ type: 'application/json' })(req, res, next);
+    } else if (req.originalUrl === '/api/admin/source-maps') {
+        // Source maps of a production bundle run to several megabytes
+        bodyParser.json({ limit: '20mb' })(req, res, next);
     } else {
         bodyParser.json()(req, res, next);
     }
 });
 
-// Email transporter
-const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD
-    }
-});
-
-// Razorpay configuration
-const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID;
-const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET;
-
-
-// Function to send confirmation emails
-async function sendConfirmationEmails(userData, referenceId, transactionId) {
-    const userMailOptions = {
-        from: process.env.EMAIL_USER,
-        to: userData.email,
-        subject: 'Your Registration is Confirmed! - Inspiring Shereen Masterclass',
-        html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
-            <h2 style="color: #7C3AED; text-align: center;">Thank You for Registering!</h2>
-            <p>Dear ${userData.fullName},</p>
-            <p>Your payment has been successfully processed and your spot in our <strong>Life-Changing 3-Hour Masterclass</strong> is confirmed! 🎉</p>
-            
-            <div style="background-color: #F5F3FF; padding: 15px; border-radius: 10px; margin: 20px 0;">
-            <h3 style="color: #7C3AED; margin-top: 0;">Event Details:</h3>
-            <p>📅 <strong>Date:</strong> April 19th</p>
-            <p>🕦 <strong>Time:</strong> 11:30 AM</p>
-            <p>📍 <strong>Location:</strong> Live on Zoom (Interactive + Reflective Exercises)</p>
-            <p>We'll send you the Zoom link and any additional instructions 24 hours before the event.</p>
-            </div>
-            
-            <p>Get ready to break free from stress, confusion & setbacks and take control of your life with clarity and confidence! ✨</p>
-            
-            <p>If you have any questions before the masterclass, feel free to reply to this email or reach out on WhatsApp: <a href="https://wa.me/919951611674">Click here to chat on WhatsApp</a></p>
-            
-            <p>Looking forward to helping you transform your life!</p>
-            
-            <p style="margin-bottom: 0;">Warm regards,</p>
-            <p style="margin-top: 5px;"><strong>Inspiring Shereen</strong></p>
-            <p style="color: #7C3AED;">Life Coach | Shaping Lives With Holistic Success</p>
-            
-            <div style="text-align: center; margin-top: 20px;">
-                <a href="https://wa.me/919951611674" style="display: inline-block; background-color: #25D366; color: white; text-decoration: none; padding: 10px 20px; border-radius: 5px; font-weight: bold;">
-                    Connect on WhatsApp
-                </a>
-            </div>
-        </div>
-        `
-    };
-
-    const adminMailOptions = {
-        from: process.env.EMAIL_USER,
-        to: process.env.EMAIL_USER,
-        subject: 'New Registration - Inspiring Shereen Masterclass',
-        html: `
-        <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
-            <h2 style="color: #7C3AED;">New Registration!</h2>
-            <p>A new participant has registered for the Life Coaching Masterclass:</p>
-            
-            <ul>
-            <li><strong>Full Name:</strong> ${userData.fullName}</li>
-            <li><strong>Email:</strong> ${userData.email}</li>
-            <li><strong>Phone:</strong> ${userData.phone}</li>
-            <li><strong>Reference ID:</strong> ${referenceId}</li>
-            <li><strong>Transaction ID:</strong> ${transactionId}</li>
-            <li><strong>Amount Paid:</strong> ₹99</li>
-            </ul>
-            
-            <p><a href="https://wa.me/${userData.phone.replace(/\D/g, '')}">Contact participant on WhatsApp</a></p>
-        </div>
-        `
-    };
-
-    try {
-        await transporter.sendMail(userMailOptions);
-        await transporter.sendMail(adminMailOptions);
-        return true;
-    } catch (emailError) {
-        console.error('Error sending confirmation emails:', emailError);
-        return false;
-    }
-}
-
-// Function to verify Razorpay signature
-function verifyRazorpaySignature(orderId, paymentId, signature) {
-    const generatedSignature = crypto
-        .createHmac('sha256', RAZORPAY_KEY_SECRET)
-        .update(orderId + '|' + paymentId)
-        .digest('hex');
-
-    return generatedSignature === signature;
-}
-
-// Firebase Auth Middleware
-const authenticateFirebase = async (req, res, next) => {
-    try {
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ error: 'Unauthorized: No valid authentication token provided' });
-        }
+// Event used when an older client doesn't send an eventId
+const DEFAULT_EVENT_ID = config.defaultEventId;
 
-        const token = authHeader.split('Bearer ')[1];
 
-        // Verify the Firebase ID token
-        const decodedToken = await admin.auth().verifyIdToken(token);
-        req.user = decodedToken;
+// Limits for the unauthenticated endpoints
+const registrationIpLimiter = rateLimit({ name: 'registration', max: 10, window: '1h' });
+const registrationEmailLimiter = rateLimit({ name: 'registration-email', max: 5, window: '1h', key: byEmail });
+const paymentOrderLimiter = rateLimit({ name: 'payment-order', max: 20, window: '1h' });
+const logErrorLimiter = rateLimit({ name: 'log-error', max: 30, window: '5m' });
+const formTokenLimiter = rateLimit({ name: 'form-token', max: 60, window: '15m' });
 
-        next();
-    } catch (error) {
-        console.error('Authentication error:', error);
-        return res.status(401).json({ error: 'Unauthorized: Invalid token' });
-    }
-};
+// Forms fetch a token when they load; spamGuard checks how long ago that was
+app.get('/api/form-token', formTokenLimiter, (req, res) => {
+    res.json({
+        success: true,
+        formToken: isTimingEnabled() ? createFormToken() : null
+    });
+});
 
-// Admin auth middleware
-const verifyAdmin = async (req, res, next) => {
-    if (!req.user) {
-        return res.status(401).json({ error: 'Unauthorized: Authentication required' });
+// Start a registration. It stays a draft until a payment order is created
+// for it; the returned registrationId is what the client pays for.
+app.post('/api/user/registrations', registrationIpLimiter, spamGuard({
+    decoyResponse: { success: true, message: 'Registration created successfully' }
+}), optionalAuth, validate({
+    body: {
+        fullName: fields.string({ required: true, max: 100 }),
+        email: fields.email({ required: true }),
+        phone: fields.phone({ required: true }),
+        city: fields.string({ max: 100 }),
+        eventId: fields.id()
     }
-
+}), registrationEmailLimiter, async (req, res) => {
     try {
-        // Get user custom claims to check admin status
-        const userRecord = await admin.auth().getUser(req.user.uid);
-        const customClaims = userRecord.customClaims || {};
-
-        if (!customClaims.admin) {
-            return res.status(403).json({ error: 'Forbidden: Admin access required' });
-        }
-
-        next();
-    } catch (error) {
-        console.error('Admin verification error:', error);
-        return res.status(500).json({ error: 'Error verifying admin status' });
-    }
-};
-
-// Replace this endpoint in server.js
-app.post('/api/user/registrations', async (req, res) => {
-    try {
-        // Instead of relying on req.user.uid from authentication middleware
         const registrationData = req.body;
+        const eventId = registrationData.eventId || DEFAULT_EVENT_ID;
 
-        // Generate a unique ID for this registration if no authentication
-        const registrationId = Date.now().toString();
+        const event = await getEvent(eventId);
+        if (!event) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid eventId is required'
+            });
+        }
 
-        // Store in global registrations collection
-        await registrationsRef.child(registrationId).set({
-            ...registrationData,
-            registrationId,
-            timestamp: registrationData.timestamp || new Date().toISOString()
-        });
+        const registration = await createRegistration(
+            { ...registrationData, eventId },
+            { uid: req.user ? req.user.uid : null, source: 'participant' }
+        );
 
         res.json({
             success: true,
-            message: 'Registration updated successfully',
-            registrationId
+            message: 'Registration created successfully',
+            registrationId: registration.id,
+            status: registration.status
         });
     } catch (error) {
-        console.error('Error updating registration:', error);
+        logger.error('Error creating registration', { error });
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to update registration'
+            error: error.message || 'Failed to create registration'
         });
     }
 });
 
-app.post('/api/create-payment-order', async (req, res) => {
+app.post('/api/create-payment-order', paymentOrderLimiter, validate({
+    body: {
+        registrationId: fields.id({ required: true }),
+        couponCode: fields.string({ max: 32 })
+    }
+}), async (req, res) => {
     try {
-        // Validate required fields
-        const { email, amount = 9900, discountApplied = false } = req.body;
+        const { registrationId, couponCode } = req.body;
 
-        if (!email) {
-            return res.status(400).json({
+        const registration = await getRegistration(registrationId);
+        if (!registration) {
+            return res.status(404).json({
+                success: false,
+                error: "Registration not found"
+            });
+        }
+
+        const state = getState(registration);
+        if (!canTransition(state, 'order_created')) {
+            return res.status(409).json({
+                success: false,
+                error: `Cannot create a payment order for a registration that is ${state}`
+            });
+        }
+
+        const { email } = registration;
+        const eventId = registration.eventId || DEFAULT_EVENT_ID;
+        const event = await getEvent(eventId);
+
+        if (!event) {
+            return res.status(404).json({
                 success: false,
-                error: "Email is required"
+                error: "Event not found"
             });
         }
 
-        // Check if Razorpay is properly initialized
-        if (!razorpay || !razorpay.orders) {
-            console.error('Razorpay not properly initialized');
+        if (event.status !== 'published') {
+            return res.status(409).json({
+                success: false,
+                error: "Registrations for this event are closed"
+            });
+        }
+
+        // Check if the payment gateway is properly configured
+        const gateway = getPaymentGateway();
+        if (!gateway.isConfigured()) {
+            logger.error('Payment gateway is not configured', { gateway: gateway.name });
             return res.status(500).json({
                 success: false,
                 error: "Payment system is currently unavailable"
             });
         }
 
-        const actualAmount = discountApplied ? 7900 : 9900; // ₹99 or ₹79 in paisa
-        // const actualAmount = 100; // ₹99 or ₹79 in paisa
+        const currency = event.currency || "INR";
+        const basePrice = getEventPrice(event);
+        let finalPrice = basePrice;
+        let coupon = null;
 
-        const options = {
+        // Discounts only come from server-validated coupon codes
+        if (couponCode) {
+            const result = await validateCoupon(couponCode, { eventId, email, amount: basePrice });
+
+            if (!result.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+
+            finalPrice = result.finalAmount;
+            coupon = {
+                code: result.coupon.code,
+                type: result.coupon.type,
+                value: result.coupon.value,
+                discountAmount: result.discountAmount
+            };
+        }
+
+        const actualAmount = toPaise(finalPrice);
+
+        const order = await gateway.createOrder({
             amount: actualAmount,
-            currency: "INR",
+            currency,
             receipt: `rcpt_${Date.now()}`,
-            payment_capture: 1,
             notes: {
-                email: email,
-                discountApplied: discountApplied
+                registrationId,
+                email,
+                eventId,
+                couponCode: coupon ? coupon.code : ''
             }
-        };
+        });
 
-        // Create Razorpay order
-        const order = await razorpay.orders.create(options);
+        logger.info('Payment order created', {
+            orderId: order.id,
+            registrationId,
+            eventId,
+            gateway: gateway.name,
+            amount: actualAmount / 100,
+            currency
+        });
 
         // Store order info in a separate orders collection
-        await db.ref(`orders/${order.id}`).set({
+        await createOrder(order.id, {
+            registrationId,
             email,
+            eventId,
             orderAmount: actualAmount / 100,
-            orderCurrency: "INR",
+            orderCurrency: currency,
             orderStatus: "created",
             orderTimestamp: new Date().toISOString(),
-            discountApplied
+            basePrice,
+            discountApplied: !!coupon,
+            coupon
+        });
+
+        await transitionRegistration(registrationId, 'order_created', {
+            source: 'checkout',
+            fields: {
+                orderId: order.id,
+                paymentStatus: 'Pending',
+                orderAmount: actualAmount / 100,
+                couponCode: coupon ? coupon.code : null,
+                discountAmount: coupon ? coupon.discountAmount : 0
+            }
         });
 
         res.status(200).json({
             success: true,
+            registrationId,
             orderId: order.id,
-            razorpayKey: RAZORPAY_KEY_ID,
+            gateway: gateway.name,
+            razorpayKey: gateway.checkoutKey,
             amount: actualAmount,
-            currency: "INR"
+            currency,
+            eventId,
+            couponCode: coupon ? coupon.code : null,
+            discountAmount: coupon ? coupon.discountAmount : 0
         });
     } catch (err) {
-        console.error('Error creating payment order:', err);
+        logger.error('Error creating payment order', { error: err });
 
         let errorMessage = "Payment order creation failed";
         let errorDetails = {};
@@ -314,15 +327,21 @@ app.post('/api/create-payment-order', async (req, res) => {
             errorMessage = err.message;
         }
 
-        res.status(500).json({
+        res.status(err.status || 500).json({
             success: false,
             error: errorMessage,
-            details: process.env.NODE_ENV === 'development' ? errorDetails : undefined
+            details: config.appEnv === 'development' ? errorDetails : undefined
         });
     }
 });
 // Confirm payment
-app.post('/api/confirm-payment', async (req, res) => {
+app.post('/api/confirm-payment', validate({
+    body: {
+        razorpay_payment_id: fields.id({ required: true }),
+        razorpay_order_id: fields.id({ required: true }),
+        razorpay_signature: fields.string({ required: true, max: 256, pattern: /^[a-f0-9]+$/i })
+    }
+}), async (req, res) => {
     try {
         const {
             razorpay_payment_id,
@@ -330,72 +349,44 @@ app.post('/api/confirm-payment', async (req, res) => {
             razorpay_signature
         } = req.body;
 
-        const uid = req.user.uid;
-
-        if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
-            return res.status(400).json({
-                success: false,
-                error: 'Payment details are incomplete'
-            });
-        }
-
         // Verify the signature
-        const isSignatureValid = verifyRazorpaySignature(
-            razorpay_order_id,
-            razorpay_payment_id,
-            razorpay_signature
-        );
+        const isSignatureValid = getPaymentGateway().verifyCheckoutSignature({
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id,
+            signature: razorpay_signature
+        });
 
         if (!isSignatureValid) {
+            metrics.recordPaymentOutcome('invalid_signature', 'checkout');
+            logger.warn('Invalid checkout payment signature', {
+                paymentId: razorpay_payment_id,
+                orderId: razorpay_order_id
+            });
             return res.status(400).json({
                 success: false,
                 error: 'Invalid payment signature'
             });
         }
 
-        // Get user data from Firebase
-        const userDataSnapshot = await registrationsRef.child(uid).once('value');
-        const userData = userDataSnapshot.val();
+        const result = await confirmPayment({
+            paymentId: razorpay_payment_id,
+            orderId: razorpay_order_id,
+            source: 'checkout'
+        });
 
-        if (!userData) {
+        if (!result.found) {
             return res.status(404).json({
                 success: false,
                 error: 'User registration data not found'
             });
         }
 
-        // Update payment information in global registrations
-        await registrationsRef.child(uid).update({
-            paymentConfirmed: true,
-            transactionId: razorpay_payment_id,
-            paymentStatus: 'Confirmed',
-            paymentTimestamp: new Date().toISOString()
-        });
-
-        // Update user-specific registration
-        await db.ref(`users/${uid}/registration`).update({
-            paymentConfirmed: true,
-            transactionId: razorpay_payment_id,
-            paymentStatus: 'Confirmed',
-            paymentTimestamp: new Date().toISOString()
-        });
-
-        // Store in confirmed payments
-        await confirmedPaymentsRef.child(uid).set({
-            paymentId: razorpay_payment_id,
-            orderId: razorpay_order_id,
-            timestamp: new Date().toISOString()
-        });
-
-        // Send confirmation emails
-        await sendConfirmationEmails(userData, uid, razorpay_payment_id);
-
         res.json({
             success: true,
-            uid
+            registrationId: result.registrationKey
         });
     } catch (error) {
-        console.error('Error confirming payment:', error);
+        logger.error('Error confirming payment', { error });
         res.status(500).json({
             success: false,
             error: error.message || 'Something went wrong during payment confirmation'
@@ -403,280 +394,170 @@ app.post('/api/confirm-payment', async (req, res) => {
     }
 });
 
-// Updated webhook handler - fixed to properly handle raw body and respond
-app.post('/api/inspiringshereen-webhook', async (req, res) => {
+// Payment status of a registration, for the client to poll after checkout
+app.get('/api/check-payment', validate({
+    query: {
+        registrationId: fields.id(),
+        orderId: fields.id()
+    }
+}), async (req, res) => {
     try {
-        // Parse the webhook data from the raw body
-        const webhook_body = req.body.toString();
-        const webhookData = JSON.parse(webhook_body);
-        console.log('Webhook received:', webhookData.event);
-
-        // Verify webhook signature
-        const webhookSignature = req.headers['x-razorpay-signature'];
-
-        if (webhookSignature) {
-            const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-
-            if (webhookSecret) {
-                const generatedSignature = crypto
-                    .createHmac('sha256', webhookSecret)
-                    .update(webhook_body)
-                    .digest('hex');
-
-                if (generatedSignature !== webhookSignature) {
-                    console.error('Invalid webhook signature');
-                    return res.status(401).json({ success: false, error: 'Invalid signature' });
-                }
-            }
-        }
-
-        // Process payment events
-        if (webhookData.event === 'payment.captured' || webhookData.event === 'payment.authorized') {
-            const paymentData = webhookData.payload.payment.entity;
-            const orderId = paymentData.order_id;
-            const paymentId = paymentData.id;
-
-            // Find user by order ID in Firebase
-            const registrationsSnapshot = await registrationsRef.orderByChild('orderId').equalTo(orderId).once('value');
-            const registrations = registrationsSnapshot.val();
-
-            if (registrations) {
-                // There should be only one user with this order ID
-                const uid = Object.keys(registrations)[0];
-                const userData = registrations[uid];
-
-                if (uid && userData) {
-                    // Update in global registrations
-                    await registrationsRef.child(uid).update({
-                        paymentConfirmed: true,
-                        transactionId: paymentId,
-                        paymentStatus: 'Confirmed',
-                        paymentTimestamp: new Date().toISOString()
-                    });
-
-                    // Update in user-specific registration
-                    await db.ref(`users/${uid}/registration`).update({
-                        paymentConfirmed: true,
-                        transactionId: paymentId,
-                        paymentStatus: 'Confirmed',
-                        paymentTimestamp: new Date().toISOString()
-                    });
-
-                    // Add to confirmed payments
-                    await confirmedPaymentsRef.child(uid).set({
-                        paymentId,
-                        orderId,
-                        timestamp: new Date().toISOString()
-                    });
-
-                    // Send confirmation emails
-                    try {
-                        await sendConfirmationEmails(userData, uid, paymentId);
-                        console.log('Webhook: confirmation emails sent for payment', paymentId);
-                    } catch (emailError) {
-                        console.error('Webhook: failed to send confirmation emails:', emailError);
-                    }
-                }
-            } else {
-                console.warn('Webhook: registration not found for order', orderId);
-            }
-        } else if (webhookData.event === 'payment.failed') {
-            console.log('Payment failed webhook received');
-
-            // Update payment status for the user
-            const paymentData = webhookData.payload.payment.entity;
-            const orderId = paymentData.order_id;
-
-            // Find user by order ID in Firebase
-            const registrationsSnapshot = await registrationsRef.orderByChild('orderId').equalTo(orderId).once('value');
-            const registrations = registrationsSnapshot.val();
-
-            if (registrations) {
-                // There should be only one user with this order ID
-                const uid = Object.keys(registrations)[0];
-
-                // Update payment status in both locations
-                await registrationsRef.child(uid).update({
-                    paymentStatus: 'Failed',
-                    paymentFailureReason: paymentData.error_description || 'Unknown error',
-                    paymentFailureTimestamp: new Date().toISOString()
-                });
+        const registrationId = req.query.registrationId ||
+            (req.query.orderId && await findRegistrationIdByOrder(req.query.orderId));
 
-                await db.ref(`users/${uid}/registration`).update({
-                    paymentStatus: 'Failed',
-                    paymentFailureReason: paymentData.error_description || 'Unknown error',
-                    paymentFailureTimestamp: new Date().toISOString()
-                });
-            } else {
-                console.warn('Webhook: registration not found for failed payment order', orderId);
-            }
+        if (!registrationId) {
+            return res.status(400).json({
+                success: false,
+                error: 'registrationId or orderId is required'
+            });
         }
 
-        // Send response to Razorpay
-        res.status(200).json({ success: true });
-    } catch (error) {
-        console.error('Error processing webhook:', error);
-        res.status(500).json({ success: false, error: 'Server error while processing webhook' });
-    }
-});
+        const registration = await getRegistration(registrationId);
 
-// Payment check endpoint - fixed to be outside webhook handler
-app.get('/api/check-payment', async (req, res) => {
-    try {
-        const uid = req.user.uid;
-
-        // Check if payment is confirmed in Firebase
-        const confirmedSnapshot = await confirmedPaymentsRef.child(uid).once('value');
-        const isConfirmed = confirmedSnapshot.exists();
-
-        if (isConfirmed) {
-            res.json({ success: true });
-        } else {
-            // Check if registration exists
-            const registrationSnapshot = await registrationsRef.child(uid).once('value');
+        if (!registration) {
+            return res.json({
+                success: false,
+                status: 'UNKNOWN',
+                message: 'Registration not found'
+            });
+        }
 
-            if (registrationSnapshot.exists()) {
-                // Check the order status
-                const registration = registrationSnapshot.val();
-                const status = registration.paymentStatus || 'PENDING';
+        const status = getState(registration);
+        const messages = {
+            draft: 'Payment has not been started',
+            order_created: 'Payment is being processed',
+            paid: 'Payment confirmed',
+            failed: 'Payment failed: ' + (registration.paymentFailureReason || 'Unknown reason'),
+            cancelled: 'Registration has been cancelled',
+            refunded: 'Payment has been refunded'
+        };
 
-                res.json({
-                    success: false,
-                    status,
-                    message: status === 'Failed' ?
-                        'Payment failed: ' + (registration.paymentFailureReason || 'Unknown reason') :
-                        'Payment is being processed'
-                });
-            } else {
-                res.json({
-                    success: false,
-                    status: 'UNKNOWN',
-                    message: 'Registration not found'
-                });
-            }
-        }
+        res.json({
+            success: status === 'paid',
+            registrationId,
+            status,
+            paymentStatus: registration.paymentStatus || 'Pending',
+            message: messages[status]
+        });
     } catch (error) {
-        console.error('Error checking payment:', error);
+        logger.error('Error checking payment', { error });
         res.status(500).json({
             success: false,
             error: 'Server error while checking payment'
         });
     }
 });
-// Admin routes - secured with Firebase Auth and Admin Check
-app.get('/api/admin/registrations', authenticateFirebase, verifyAdmin, async (req, res) => {
+// Admin: one page of user accounts with their profiles (see
+// services/userDirectoryService.js). `search` matches the email or name,
+// `admin=true` keeps accounts holding any role. Pass `pageInfo.nextPageToken`
+// back as `pageToken` for the next page.
+app.get('/api/admin/users', authenticateFirebase, requirePermission('users:read'), validate({
+    query: {
+        search: fields.string({ max: 254 }),
+        disabled: fields.boolean(),
+        verified: fields.boolean(),
+        admin: fields.boolean(),
+        limit: fields.integer({ min: 1, max: 200, default: 50 }),
+        pageToken: fields.string({ max: 2048 })
+    }
+}), async (req, res) => {
     try {
-        // Get all registrations from Firebase
-        const registrationsSnapshot = await registrationsRef.once('value');
-        const registrationsData = registrationsSnapshot.val() || {};
-
-        // Convert to array format
-        const formattedRegistrations = Object.entries(registrationsData).map(([key, value]) => ({
-            id: key,
-            ...value
-        }));
+        const { search, disabled, verified, admin: isAdmin, limit, pageToken } = req.query;
+        const result = await listUsers({ search, disabled, verified, isAdmin }, { limit, pageToken });
 
-        res.json({
-            success: true,
-            registrations: formattedRegistrations
-        });
+        res.json({ success: true, users: result.users, pageInfo: result.pageInfo });
     } catch (error) {
-        console.error('Error fetching registrations:', error);
-        res.status(500).json({ error: 'Something went wrong' });
+        logger.error('Error fetching users', { error });
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to fetch users'
+        });
     }
 });
 
-// Add these routes to your server.js file
-
-// Update in server.js
-app.get('/api/admin/users', authenticateFirebase, verifyAdmin, async (req, res) => {
+// Admin maintenance: create the missing profiles of one page of accounts.
+// Repeat with the returned `nextPageToken` until it is null.
+app.post('/api/admin/users/backfill-profiles', authenticateFirebase, requirePermission('users:manage'), validate({
+    body: {
+        pageToken: fields.string({ max: 2048 }),
+        dryRun: fields.boolean({ default: false })
+    }
+}), async (req, res) => {
     try {
-        // List all users from Firebase Auth
-        const listUsersResult = await admin.auth().listUsers();
-        const users = [];
-
-        // Get additional data from RTDB for each user
-        for (const userRecord of listUsersResult.users) {
-            try {
-                // Get user data from RTDB
-                const userRef = db.ref(`users/${userRecord.uid}`);
-                const snapshot = await userRef.once('value');
-                const userData = snapshot.val() || {};
-
-                if (!snapshot.exists()) {
-                    console.log(`Creating missing RTDB data for user ${userRecord.uid}, using Auth data only`);
-
-                    // If RTDB data doesn't exist, create it now from Auth data
-                    await userRef.set({
-                        fullName: userRecord.displayName || '',
-                        email: userRecord.email,
-                        createdAt: userRecord.metadata.creationTime
-                    });
-                }
-
-                // Merge Auth and RTDB data
-                users.push({
-                    id: userRecord.uid,
-                    email: userRecord.email,
-                    fullName: userRecord.displayName || userData.fullName || '',
-                    phone: userData.phone || '',
-                    disabled: userRecord.disabled || false,
-                    emailVerified: userRecord.emailVerified,
-                    createdAt: userData.createdAt || userRecord.metadata.creationTime,
-                    lastSignInTime: userRecord.metadata.lastSignInTime,
-                    registrations: userData.registrations || []
-                });
-            } catch (userError) {
-                console.error(`Error fetching data for user ${userRecord.uid}:`, userError);
-                // Still include basic user info even if RTDB data fetch fails
-                users.push({
-                    id: userRecord.uid,
-                    email: userRecord.email,
-                    fullName: userRecord.displayName || '',
-                    disabled: userRecord.disabled || false,
-                    emailVerified: userRecord.emailVerified,
-                    createdAt: userRecord.metadata.creationTime,
-                    lastSignInTime: userRecord.metadata.lastSignInTime,
-                });
-            }
-        }
+        const result = await backfillProfiles(req.body);
 
-        res.json({
-            success: true,
-            users
+        if (result.created.length) {
+            await audit(req, 'user.backfill', {
+                targetType: 'user',
+                details: { scanned: result.scanned, created: result.created }
+            });
+        }
+        logger.info('User profiles backfilled', {
+            scanned: result.scanned,
+            missing: result.missing.length,
+            created: result.created.length,
+            dryRun: req.body.dryRun
         });
+
+        res.json({ success: true, ...result });
     } catch (error) {
-        console.error('Error fetching users:', error);
-        res.status(500).json({
+        logger.error('Error backfilling user profiles', { error });
+        res.status(error.status || 500).json({
             success: false,
-            error: error.message || 'Failed to fetch users'
+            error: error.message || 'Failed to backfill user profiles'
         });
     }
 });
 
+// What the audit log keeps of a Firebase Auth account
+function accountSnapshot(userRecord) {
+    return {
+        email: userRecord.email || null,
+        displayName: userRecord.displayName || null,
+        disabled: !!userRecord.disabled,
+        emailVerified: !!userRecord.emailVerified,
+        customClaims: userRecord.customClaims || null
+    };
+}
+
 // Toggle user status (enable/disable)
-app.put('/api/admin/users/:userId/toggle-status', authenticateFirebase, verifyAdmin, async (req, res) => {
+app.put('/api/admin/users/:userId/toggle-status', authenticateFirebase, requirePermission('users:manage'), validate({
+    params: { userId: fields.id({ required: true }) },
+    body: { disabled: fields.boolean({ required: true }) }
+}), async (req, res) => {
     try {
         const { userId } = req.params;
         const { disabled } = req.body;
 
-        if (typeof disabled !== 'boolean') {
-            return res.status(400).json({
+        // Disabling an admin is as good as revoking their roles
+        const roles = await getUserRoles(userId);
+        if (!roles.every(role => canGrant(req.admin.roles, role))) {
+            return res.status(403).json({
                 success: false,
-                error: 'Disabled status must be a boolean'
+                error: 'You cannot change the status of an admin with roles you do not hold'
             });
         }
+        if (disabled) {
+            await assertNotLastActiveOwner(userId);
+        }
 
         // Update user in Firebase Auth
+        const before = await admin.auth().getUser(userId);
         await admin.auth().updateUser(userId, { disabled });
+        await audit(req, disabled ? 'user.disable' : 'user.enable', {
+            targetType: 'user',
+            targetId: userId,
+            before: { disabled: !!before.disabled },
+            after: { disabled }
+        });
 
         res.json({
             success: true,
             message: `User ${disabled ? 'disabled' : 'enabled'} successfully`
         });
     } catch (error) {
-        console.error('Error toggling user status:', error);
-        res.status(500).json({
+        logger.error('Error toggling user status', { error });
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Failed to update user status'
         });
@@ -684,23 +565,42 @@ app.put('/api/admin/users/:userId/toggle-status', authenticateFirebase, verifyAd
 });
 
 // Delete user account
-app.delete('/api/admin/users/:userId', authenticateFirebase, verifyAdmin, async (req, res) => {
+app.delete('/api/admin/users/:userId', authenticateFirebase, requirePermission('users:manage'), validate({
+    params: { userId: fields.id({ required: true }) }
+}), async (req, res) => {
     try {
         const { userId } = req.params;
+        const [userRecord, profile, roles] = await Promise.all([
+            admin.auth().getUser(userId),
+            userRepository.getUser(userId),
+            getUserRoles(userId)
+        ]);
+
+        // Another enabled owner has to remain. Admin roles are taken away
+        // first, with the same checks as revoking them (escalation, last owner)
+        await assertNotLastActiveOwner(userId);
+        if (roles.length) {
+            await setUserRoles(userId, [], { actor: req.admin });
+        }
 
         // Delete user from Firebase Auth
         await admin.auth().deleteUser(userId);
 
         // Delete user data from RTDB
-        await db.ref(`users/${userId}`).remove();
+        await userRepository.removeUser(userId);
+        await audit(req, 'user.delete', {
+            targetType: 'user',
+            targetId: userId,
+            before: { account: accountSnapshot(userRecord), profile, roles }
+        });
 
         res.json({
             success: true,
             message: 'User deleted successfully'
         });
     } catch (error) {
-        console.error('Error deleting user:', error);
-        res.status(500).json({
+        logger.error('Error deleting user', { error });
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Failed to delete user'
         });
@@ -708,15 +608,28 @@ app.delete('/api/admin/users/:userId', authenticateFirebase, verifyAdmin, async
 });
 
 // Route to create new user (admin only)
-app.post('/api/admin/users', authenticateFirebase, verifyAdmin, async (req, res) => {
+app.post('/api/admin/users', authenticateFirebase, requirePermission('users:manage'), validate({
+    body: {
+        email: fields.email({ required: true }),
+        password: fields.string({ required: true, min: 6, max: 128, trim: false }),
+        fullName: fields.string({ max: 100 }),
+        phone: fields.phone(),
+        roles: fields.array(fields.string({ enum: ROLE_NAMES }), { max: ROLE_NAMES.length })
+    }
+}), async (req, res) => {
     try {
-        const { email, password, fullName, phone, isAdmin } = req.body;
-
-        if (!email || !password) {
-            return res.status(400).json({
-                success: false,
-                error: 'Email and password are required'
-            });
+        const { email, password, fullName, phone, roles = [] } = req.body;
+
+        // Creating an admin is granting roles, so it needs roles:manage and
+        // cannot hand out more than the creator holds
+        if (roles.length) {
+            const notAllowed = roles.filter(role => !canGrant(req.admin.roles, role));
+            if (!req.admin.permissions.includes('roles:manage') || notAllowed.length) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'You cannot grant these roles'
+                });
+            }
         }
 
         // Create new user in Firebase Auth
@@ -727,26 +640,30 @@ app.post('/api/admin/users', authenticateFirebase, verifyAdmin, async (req, res)
             disabled: false
         });
 
-        // Set admin claim if needed
-        if (isAdmin) {
-            await admin.auth().setCustomUserClaims(userRecord.uid, { admin: true });
-        }
-
         // Save additional user data to RTDB
-        await db.ref(`users/${userRecord.uid}`).set({
+        await userRepository.saveUser(userRecord.uid, {
             fullName: fullName || '',
             email,
             phone: phone || '',
             createdAt: new Date().toISOString()
         });
 
+        if (roles.length) {
+            await setUserRoles(userRecord.uid, roles, { actor: req.admin });
+        }
+        await audit(req, 'user.create', {
+            targetType: 'user',
+            targetId: userRecord.uid,
+            after: { email, fullName: fullName || '', phone: phone || '', roles }
+        });
+
         res.json({
             success: true,
             message: 'User created successfully',
             userId: userRecord.uid
         });
     } catch (error) {
-        console.error('Error creating user:', error);
+        logger.error('Error creating user', { error });
         res.status(500).json({
             success: false,
             error: error.message || 'Failed to create user'
@@ -754,142 +671,94 @@ app.post('/api/admin/users', authenticateFirebase, verifyAdmin, async (req, res)
     }
 });
 
-// Route to set initial admin user
-app.post('/api/setup-admin', async (req, res) => {
-    // This endpoint should typically be secured or disabled in production
-    // It's used for initial setup only
-    try {
-        const { adminEmail, password, setupToken } = req.body;
-
-        // Basic security check to prevent unauthorized setup
-        // In a real app, use a more secure mechanism
-        if (!setupToken || setupToken !== process.env.SETUP_TOKEN) {
-            return res.status(403).json({ error: 'Unauthorized setup attempt' });
-        }
-
-        // Look for the user by email
-        try {
-            const userRecord = await admin.auth().getUserByEmail(adminEmail);
-            // If user exists, set admin claim
-            await admin.auth().setCustomUserClaims(userRecord.uid, { admin: true });
-
-            // Ensure database entry exists
-            await db.ref(`users/${userRecord.uid}`).update({
-                isAdmin: true,
-                updatedAt: new Date().toISOString()
-            });
-
-            return res.json({
-                success: true,
-                message: 'Admin privileges granted to existing user',
-                uid: userRecord.uid
-            });
-        } catch (userError) {
-            // User doesn't exist, create new admin user
-            if (userError.code === 'auth/user-not-found') {
-                const newUserRecord = await admin.auth().createUser({
-                    email: adminEmail,
-                    password: password,
-                    emailVerified: true
-                });
-
-                await admin.auth().setCustomUserClaims(newUserRecord.uid, { admin: true });
-
-                // Create a database entry for this admin
-                await db.ref(`users/${newUserRecord.uid}`).set({
-                    fullName: 'Admin',
-                    email: adminEmail,
-                    isAdmin: true,
-                    createdAt: new Date().toISOString()
-                });
-
-                return res.json({
-                    success: true,
-                    message: 'New admin user created',
-                    uid: newUserRecord.uid
-                });
-            }
-
-            throw userError;
-        }
-    } catch (error) {
-        console.error('Error setting up admin:', error);
-        res.status(500).json({ error: error.message || 'Failed to setup admin user' });
-    }
-});
-
 app.use('/api', contactRoutes);
-console.log(`📧 Email Service: ${process.env.EMAIL_USER ? 'Configured ✓' : 'Missing ✗'}`);
+app.use('/api', inquiryRoutes);
+app.use('/api', eventRoutes);
+app.use('/api', couponRoutes);
+app.use('/api', refundRoutes);
+app.use('/api', registrationRoutes);
+app.use('/api', ticketRoutes);
+app.use('/api', invoiceRoutes);
+app.use('/api', emailRoutes);
+app.use('/api', cronRoutes);
+app.use('/api', roleRoutes);
+app.use('/api', auditRoutes);
+app.use('/api', errorRoutes);
+app.use('/api', healthRoutes);
+app.use('/api', webhookRoutes);
+if (getPaymentGateway().name === 'mock') {
+    app.use('/api', mockGatewayRoutes);
+}
+if (config.adminSetupRoute) {
+    app.use('/api', setupRoutes);
+}
 
-// Enhanced error logging route
-app.post('/api/log-error', (req, res) => {
+// Client-side errors are stored and grouped (services/errorReportService.js);
+// `release` is the frontend build, used to pick the source map
+app.post('/api/log-error', logErrorLimiter, validate({
+    body: {
+        message: fields.string({ required: true, max: 2000 }),
+        stack: fields.string({ max: 20000, trim: false }),
+        release: fields.string({ max: 100 }),
+        url: fields.string({ max: 2000 }),
+        user: fields.object({
+            id: fields.string({ max: 128 }),
+            email: fields.string({ max: 254 })
+        }),
+        context: fields.json({ maxBytes: 10000 })
+    }
+}), async (req, res) => {
     try {
-        const { message, stack, user, context } = req.body;
+        const { message, stack, release, url, user, context } = req.body;
 
-        console.error('🚨 Client-side error:', {
-            timestamp: new Date().toISOString(),
+        const { fingerprint } = await recordClientError({
             message,
             stack,
-            user: user ? `${user.email} (${user.id})` : 'Unknown',
+            release,
+            url,
+            userAgent: req.get('user-agent'),
+            user,
             context
         });
 
-        res.status(200).json({ logged: true });
+        logger.warn('Client-side error', {
+            fingerprint,
+            message,
+            release,
+            userId: user ? user.id : undefined,
+            userEmail: user ? user.email : undefined
+        });
+
+        res.status(200).json({ logged: true, fingerprint });
     } catch (error) {
-        console.error('Error logging client error:', error);
+        logger.error('Error logging client error', { error });
         res.status(500).json({ logged: false });
     }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    const healthStatus = {
-        status: 'ok',
-        timestamp: new Date().toISOString(),
-        services: {
-            email: !!process.env.EMAIL_USER && !!process.env.EMAIL_PASSWORD ? 'configured' : 'unconfigured',
-            razorpay: !!RAZORPAY_KEY_ID && !!RAZORPAY_KEY_SECRET ? 'configured' : 'unconfigured',
-            firebase: admin.apps.length > 0 ? 'connected' : 'disconnected'
-        }
-    };
-
-    res.json(healthStatus);
+// Prometheus scrape endpoint (services/metrics.js)
+app.get('/metrics', verifyMetricsToken, async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.contentType);
+        res.send(await metrics.register.metrics());
+    } catch (error) {
+        logger.error('Error collecting metrics', { error });
+        res.status(500).end();
+    }
 });
 
-function debugEnvironment() {
-    console.log('Environment check:');
-    console.log('- NODE_ENV:', process.env.NODE_ENV);
-    console.log('- RAZORPAY_KEY_ID:', process.env.RAZORPAY_KEY_ID ? 'Set ✓' : 'Missing ✗');
-    console.log('- RAZORPAY_KEY_SECRET:', process.env.RAZORPAY_KEY_SECRET ? 'Set ✓' : 'Missing ✗');
-    console.log('- Firebase service account:', process.env.FIREBASE_SERVICE_ACCOUNT ? 'Set ✓' : 'Missing ✗');
-
-    // Check if Firebase is properly initialized
-    if (admin.apps.length > 0) {
-        console.log('- Firebase initialized ✓');
-        console.log('- Database reference:', db ? 'Valid ✓' : 'Invalid ✗');
-        console.log('- Registrations reference:', registrationsRef ? 'Valid ✓' : 'Invalid ✗');
-    } else {
-        console.log('- Firebase NOT initialized ✗');
+app.listen(PORT, () => {
+    logger.info('Server started', { port: PORT, appEnv: config.appEnv });
+    logger.info('Configuration', redactConfig(config));
+    getConfigWarnings().forEach(warning => logger.warn(`Configuration: ${warning}`));
+
+    // Retry failed emails and send event reminders in the background. On
+    // Vercel there is no long-lived process; the crons in vercel.json call
+    // /api/cron/* instead.
+    if (config.mailWorkerIntervalMs > 0) {
+        startOutboxWorker();
     }
-
-    // Check Razorpay
-    if (razorpay) {
-        console.log('- Razorpay initialized ✓');
-    } else {
-        console.log('- Razorpay NOT initialized ✗');
+    if (config.reminderIntervalMs > 0) {
+        startReminderScheduler();
     }
-}
-
-// Start server with improved logging
-app.listen(PORT, () => {
-    console.log(`
-    ✅ ====================================== ✅
-    🚀 Server running on port ${PORT}
-    📅 ${new Date().toISOString()}
-    📧 Email Service: ${process.env.EMAIL_USER ? 'Configured ✓' : 'Missing ✗'}
-    💰 Razorpay: ${RAZORPAY_KEY_ID ? 'Configured ✓' : 'Missing ✗'}
-    🔥 Firebase: ${admin.apps.length > 0 ? 'Connected ✓' : 'Missing ✗'}
-    ✅ ====================================== ✅
-    `);
-    debugEnvironment();
 });
\ No newline at end of file
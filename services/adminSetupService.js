@@ -0,0 +1,132 @@
+// services/adminSetupService.js
+//
+// Bootstrap of the first admin: grants `owner` to an account (created when
+// it doesn't exist). Two ways in:
+//   POST /api/setup-admin     routes/setupRoutes.js, with SETUP_TOKEN. Only
+//                             mounted with ADMIN_SETUP_ROUTE (off in
+//                             production by default).
+//   scripts/setup-admin.js    from a shell with the server's credentials
+// Either works once: as soon as an owner exists or a setup has completed,
+// further attempts are refused. Later admins are added from the admin UI.
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const adminSetupRepository = require('../repositories/adminSetupRepository');
+const userRepository = require('../repositories/userRepository');
+const { getUserRoles, setUserRoles, ownerExists } = require('./roleService');
+const { getConfig } = require('../config');
+
+// How long a started setup blocks others before it counts as abandoned
+const SETUP_LEASE_MS = 5 * 60 * 1000;
+
+// `reason` is what the attempt is logged as
+function setupError(message, status, reason) {
+    const error = new Error(message);
+    error.status = status;
+    error.reason = reason;
+    return error;
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Throws unless `token` is the configured, unexpired SETUP_TOKEN. The
+// digests have the same length whatever was sent, so the comparison takes
+// the same time and leaks nothing about the token.
+function verifySetupToken(token, now = Date.now()) {
+    const { setupToken, setupTokenExpiresAt } = getConfig();
+
+    if (!setupToken) {
+        throw setupError('Admin setup is not enabled', 404, 'not_configured');
+    }
+    if (!crypto.timingSafeEqual(digest(token || ''), digest(setupToken))) {
+        throw setupError('Unauthorized setup attempt', 403, 'invalid_token');
+    }
+    if (now >= Date.parse(setupTokenExpiresAt)) {
+        throw setupError('The setup token has expired', 403, 'expired');
+    }
+}
+
+async function isSetupComplete() {
+    const setup = await adminSetupRepository.getAdminSetup();
+    if (setup && setup.status === 'completed') return true;
+    return ownerExists();
+}
+
+async function findOrCreateUser(email, password) {
+    try {
+        return { user: await admin.auth().getUserByEmail(email), created: false };
+    } catch (error) {
+        if (error.code !== 'auth/user-not-found') throw error;
+    }
+
+    // Without a password the admin signs in after a password reset
+    const user = await admin.auth().createUser({
+        email,
+        ...(password ? { password } : {}),
+        emailVerified: true
+    });
+    await userRepository.saveUser(user.uid, {
+        fullName: 'Admin',
+        email,
+        createdAt: new Date().toISOString()
+    });
+
+    return { user, created: true };
+}
+
+// Make the account with `email` an owner. `source` (http or cli) is kept on
+// the setup record. `force` (CLI only) skips the check that there is no
+// owner yet, to recover when every owner has lost access; two setups at the
+// same time are refused either way. Returns { uid, created, before, roles }.
+async function setupFirstAdmin({ email, password, source, force = false }) {
+    if (admin.apps.length === 0) {
+        throw setupError('Firebase Auth is not configured; offline development users get their roles from the storage seed', 503, 'unavailable');
+    }
+    if (!force && await isSetupComplete()) {
+        throw setupError('Admin setup has already been completed', 410, 'completed');
+    }
+
+    const now = Date.now();
+    const startedAt = new Date(now).toISOString();
+
+    const { setup: claimed } = await adminSetupRepository.transactAdminSetup((current) => {
+        if (current && current.status === 'completed' && !force) return undefined;
+        if (current && current.status === 'in_progress' && now - Date.parse(current.startedAt) < SETUP_LEASE_MS) {
+            return undefined;
+        }
+        return { status: 'in_progress', startedAt, source };
+    });
+
+    if (!claimed || claimed.status !== 'in_progress' || claimed.startedAt !== startedAt) {
+        if (claimed && claimed.status === 'completed') {
+            throw setupError('Admin setup has already been completed', 410, 'completed');
+        }
+        throw setupError('Admin setup is already in progress', 409, 'in_progress');
+    }
+
+    try {
+        const { user, created } = await findOrCreateUser(email, password);
+        const before = await getUserRoles(user.uid);
+        const roles = await setUserRoles(user.uid, [...before, 'owner']);
+
+        await adminSetupRepository.updateAdminSetup({
+            status: 'completed',
+            completedAt: new Date().toISOString(),
+            uid: user.uid,
+            email
+        });
+
+        return { uid: user.uid, created, before, roles };
+    } catch (error) {
+        // Let the setup be tried again
+        await adminSetupRepository.removeAdminSetup();
+        throw error;
+    }
+}
+
+module.exports = {
+    verifySetupToken,
+    isSetupComplete,
+    setupFirstAdmin
+};
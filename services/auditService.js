@@ -0,0 +1,115 @@
+// services/auditService.js
+//
+// Append-only trail of administrative actions under auditLog/{pushId}. Push
+// ids sort chronologically, so the key order is the log order. Entries are
+// only ever added; there is deliberately no update or delete here.
+const { getDatabase } = require('../storage');
+
+// Keys whose values never end up in a snapshot
+const REDACTED_KEYS = ['password', 'setupToken', 'token', 'secret'];
+
+const auditLogRef = () => getDatabase().ref('auditLog');
+
+function auditError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// JSON-safe copy of a before/after value, without secrets and without
+// undefined (which RTDB rejects)
+function toSnapshot(value) {
+    if (value === undefined || value === null) return null;
+
+    return JSON.parse(JSON.stringify(value, (key, item) => (
+        REDACTED_KEYS.includes(key) ? '[redacted]' : item
+    ))) || null;
+}
+
+// `actor` is { uid, email, ip, userAgent }; uid is null for actions that are
+// not tied to a signed-in admin (e.g. setup with the setup token)
+async function recordAudit({ actor = {}, action, targetType, targetId, before, after, details }) {
+    const entry = {
+        action,
+        actorUid: actor.uid || null,
+        actorEmail: actor.email || null,
+        ip: actor.ip || null,
+        userAgent: actor.userAgent || null,
+        targetType: targetType || null,
+        targetId: targetId || null,
+        before: toSnapshot(before),
+        after: toSnapshot(after),
+        details: toSnapshot(details),
+        timestamp: new Date().toISOString()
+    };
+
+    const ref = auditLogRef().push();
+    await ref.set(entry);
+    return { id: ref.key, ...entry };
+}
+
+function matchesFilters(entry, { actor, action, targetType, targetId, from, to }) {
+    if (actor && entry.actorUid !== actor && entry.actorEmail !== actor) return false;
+    // "user" matches user.create, user.delete, ...
+    if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) return false;
+    if (targetType && entry.targetType !== targetType) return false;
+    if (targetId && entry.targetId !== targetId) return false;
+    if (from && !(entry.timestamp >= from)) return false;
+    if (to && !(entry.timestamp < to)) return false;
+    return true;
+}
+
+// Newest first. `cursor` is the id of the last entry of the previous page.
+// Pages are read from the database in batches until enough entries pass the
+// filters, so filtering stays cheap for recent activity.
+async function listAuditLog(filters = {}, { limit = 50, cursor } = {}) {
+    if (cursor && !/^[A-Za-z0-9_-]+$/.test(cursor)) {
+        throw auditError('Invalid cursor', 400);
+    }
+
+    const batchSize = Math.max(limit * 2, 100);
+    const entries = [];
+    let before = cursor || null;
+    let exhausted = false;
+
+    while (entries.length <= limit && !exhausted) {
+        let query = auditLogRef().orderByKey();
+        if (before) query = query.endBefore(before);
+        const snapshot = await query.limitToLast(batchSize).once('value');
+
+        const batch = [];
+        snapshot.forEach((child) => {
+            batch.push({ id: child.key, ...child.val() });
+        });
+        batch.reverse();
+
+        exhausted = batch.length < batchSize;
+        if (batch.length) before = batch[batch.length - 1].id;
+
+        for (const entry of batch) {
+            // Keys are chronological, so nothing older can match either
+            if (filters.from && entry.timestamp < filters.from) {
+                exhausted = true;
+                break;
+            }
+            if (matchesFilters(entry, filters)) entries.push(entry);
+        }
+    }
+
+    const page = entries.slice(0, limit);
+    const hasMore = entries.length > limit;
+
+    return {
+        entries: page,
+        pageInfo: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? page[page.length - 1].id : null
+        }
+    };
+}
+
+module.exports = {
+    recordAudit,
+    listAuditLog
+};
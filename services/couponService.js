@@ -0,0 +1,258 @@
+// services/couponService.js
+const crypto = require('crypto');
+const couponRepository = require('../repositories/couponRepository');
+const orderRepository = require('../repositories/orderRepository');
+const { logger } = require('./logger');
+
+const COUPON_TYPES = ['percentage', 'flat'];
+
+// Razorpay refuses orders below ₹1, so a coupon can never take the price lower
+const MIN_ORDER_AMOUNT = 1;
+
+function normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// RTDB keys can't contain '.', so per-email counters are keyed by a hash
+function emailKey(email) {
+    return crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+}
+
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+// Validate an admin-supplied coupon definition
+function normalizeCouponInput(input) {
+    const errors = [];
+    const code = normalizeCode(input.code);
+
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+        errors.push('code must be 3-32 characters of letters, digits, "-" or "_"');
+    }
+
+    if (!COUPON_TYPES.includes(input.type)) {
+        errors.push(`type must be one of: ${COUPON_TYPES.join(', ')}`);
+    }
+
+    const value = input.value;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        errors.push('value must be a positive number');
+    } else if (input.type === 'percentage' && value > 100) {
+        errors.push('percentage value cannot exceed 100');
+    }
+
+    if (input.expiresAt && Number.isNaN(Date.parse(input.expiresAt))) {
+        errors.push('expiresAt must be an ISO date-time');
+    }
+
+    if (input.maxRedemptions != null && !isPositiveInteger(input.maxRedemptions)) {
+        errors.push('maxRedemptions must be a positive integer');
+    }
+
+    if (input.perEmailLimit != null && !isPositiveInteger(input.perEmailLimit)) {
+        errors.push('perEmailLimit must be a positive integer');
+    }
+
+    if (input.eventIds != null && (!Array.isArray(input.eventIds) || input.eventIds.some(id => typeof id !== 'string'))) {
+        errors.push('eventIds must be an array of event ids');
+    }
+
+    const coupon = {
+        code,
+        type: input.type,
+        value,
+        description: input.description ? String(input.description).trim() : null,
+        expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+        maxRedemptions: input.maxRedemptions || null,
+        perEmailLimit: input.perEmailLimit || null,
+        eventIds: input.eventIds && input.eventIds.length ? input.eventIds : null
+    };
+
+    return { coupon, errors };
+}
+
+async function getCoupon(code) {
+    const normalized = normalizeCode(code);
+    if (!normalized) return null;
+
+    return couponRepository.getCoupon(normalized);
+}
+
+async function listCoupons({ active } = {}) {
+    const coupons = (await couponRepository.listCoupons()).map(({ redemptionsByEmail, ...coupon }) => coupon);
+
+    if (active === undefined) return coupons;
+    return coupons.filter(coupon => coupon.active === active);
+}
+
+// Returns null if a coupon with the same code already exists
+async function createCoupon(data, createdBy) {
+    const now = new Date().toISOString();
+    const coupon = {
+        ...data,
+        active: true,
+        redemptionCount: 0,
+        createdBy: createdBy || null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const result = await couponRepository.transactCoupon(data.code, (current) => {
+        if (current !== null) return undefined;
+        return coupon;
+    });
+
+    return result.committed ? coupon : null;
+}
+
+async function disableCoupon(code, disabledBy) {
+    const normalized = normalizeCode(code);
+    const existing = await getCoupon(normalized);
+    if (!existing) return null;
+
+    const now = new Date().toISOString();
+    await couponRepository.updateCoupon(normalized, {
+        active: false,
+        disabledAt: now,
+        disabledBy: disabledBy || null,
+        updatedAt: now
+    });
+
+    return { ...existing, active: false, disabledAt: now };
+}
+
+function calculateDiscount(coupon, amount) {
+    const raw = coupon.type === 'percentage' ? amount * coupon.value / 100 : coupon.value;
+    const maxDiscount = Math.max(amount - MIN_ORDER_AMOUNT, 0);
+    return roundAmount(Math.min(raw, maxDiscount));
+}
+
+// Check a code against an order before it is created. Redemption limits are
+// checked against confirmed redemptions only; the count moves when the
+// payment goes through (see redeemCouponForOrder).
+async function validateCoupon(code, { eventId, email, amount }) {
+    const coupon = await getCoupon(code);
+
+    if (!coupon || !coupon.active) {
+        return { valid: false, error: 'Invalid coupon code' };
+    }
+
+    if (coupon.expiresAt && new Date(coupon.expiresAt) <= new Date()) {
+        return { valid: false, error: 'This coupon has expired' };
+    }
+
+    if (coupon.eventIds && !coupon.eventIds.includes(eventId)) {
+        return { valid: false, error: 'This coupon is not valid for this event' };
+    }
+
+    if (coupon.maxRedemptions && (coupon.redemptionCount || 0) >= coupon.maxRedemptions) {
+        return { valid: false, error: 'This coupon has reached its redemption limit' };
+    }
+
+    if (coupon.perEmailLimit && email) {
+        const used = (coupon.redemptionsByEmail || {})[emailKey(email)] || 0;
+        if (used >= coupon.perEmailLimit) {
+            return { valid: false, error: 'You have already used this coupon' };
+        }
+    }
+
+    const discountAmount = calculateDiscount(coupon, amount);
+
+    return {
+        valid: true,
+        coupon,
+        discountAmount,
+        finalAmount: roundAmount(amount - discountAmount)
+    };
+}
+
+// Count the coupon on an order as redeemed once its payment is confirmed.
+// Safe to call more than once for the same order. maxRedemptions and
+// perEmailLimit are checked again when counting, since several orders can
+// pass validateCoupon before any of them is paid; one that finds a limit
+// reached is not counted and its coupon is marked `limitReachedAt` for an
+// admin to follow up.
+async function redeemCouponForOrder(orderId, paymentId) {
+    const redeemedAt = new Date().toISOString();
+
+    // Claim the redemption on the order first so the counters only move once.
+    // A null value may just be an empty local cache, so it is written back
+    // unchanged and the transaction retries with the server value.
+    const claim = await orderRepository.transactOrderCoupon(orderId, (current) => {
+        if (current === null) return current;
+        if (current.redeemedAt || current.limitReachedAt) return undefined;
+        return { ...current, redeemedAt, paymentId };
+    });
+
+    const claimed = claim.coupon;
+    if (!claim.committed || !claimed || claimed.redeemedAt !== redeemedAt) return false;
+
+    const { code, discountAmount } = claimed;
+    const order = await orderRepository.getOrder(orderId);
+    const email = order ? order.email : null;
+
+    const key = email ? emailKey(email) : null;
+    let limitReached = null;
+    const counted = await couponRepository.transactCoupon(code, (coupon) => {
+        limitReached = null;
+        if (!coupon) return coupon;
+
+        const usedByEmail = key ? (coupon.redemptionsByEmail || {})[key] || 0 : 0;
+        if (coupon.maxRedemptions && (coupon.redemptionCount || 0) >= coupon.maxRedemptions) {
+            limitReached = 'maxRedemptions';
+        } else if (key && coupon.perEmailLimit && usedByEmail >= coupon.perEmailLimit) {
+            limitReached = 'perEmailLimit';
+        }
+        if (limitReached) return undefined;
+
+        coupon.redemptionCount = (coupon.redemptionCount || 0) + 1;
+        if (key) {
+            coupon.redemptionsByEmail = { ...(coupon.redemptionsByEmail || {}), [key]: usedByEmail + 1 };
+        }
+        return coupon;
+    });
+
+    if (!counted.committed) {
+        await orderRepository.transactOrderCoupon(orderId, (current) => {
+            if (current === null) return current;
+            if (current.redeemedAt !== redeemedAt) return undefined;
+            return { ...current, redeemedAt: null, paymentId: null, limitReachedAt: redeemedAt };
+        });
+        logger.warn('Coupon redemption limit reached before payment was confirmed', { code, orderId, paymentId, limit: limitReached });
+        return false;
+    }
+
+    await couponRepository.saveRedemption(code, orderId, {
+        orderId,
+        paymentId,
+        email: email || null,
+        discountAmount,
+        redeemedAt
+    });
+
+    return true;
+}
+
+async function listRedemptions(code) {
+    const redemptions = await couponRepository.listRedemptions(normalizeCode(code));
+    return redemptions
+        .sort((a, b) => b.redeemedAt.localeCompare(a.redeemedAt));
+}
+
+module.exports = {
+    COUPON_TYPES,
+    normalizeCode,
+    normalizeCouponInput,
+    getCoupon,
+    listCoupons,
+    createCoupon,
+    disableCoupon,
+    validateCoupon,
+    redeemCouponForOrder,
+    listRedemptions
+};
@@ -0,0 +1,127 @@
+// services/emailService.js
+const { formatEventSchedule } = require('./eventService');
+const { renderEmail } = require('./templateService');
+const { queueEmail } = require('./mailService');
+const { isTicketingConfigured, issueTicket, renderTicket } = require('./ticketService');
+const { renderInvoicePdf, invoiceFileName } = require('./invoiceService');
+const { logger } = require('./logger');
+const { getConfig } = require('../config');
+
+// Message options for a rendered template
+function buildMailOptions(templateName, to, data) {
+    const { subject, html, text } = renderEmail(templateName, data);
+
+    return {
+        from: getConfig().emailUser,
+        to,
+        subject,
+        html,
+        text
+    };
+}
+
+// Function to send confirmation emails
+async function sendConfirmationEmails(userData, referenceId, transactionId, { event, amountPaid, invoice } = {}) {
+    if (!event) {
+        logger.error('Cannot send confirmation emails: event not found', { referenceId });
+        return false;
+    }
+
+    // Without TICKET_SECRET the confirmation still goes out, just without a
+    // ticket; any other failure is thrown so the email step is retried
+    let ticket = null;
+    if (isTicketingConfigured()) {
+        const issued = await issueTicket({ registrationId: referenceId, eventId: event.id });
+        ticket = await renderTicket(issued);
+    } else {
+        logger.warn('TICKET_SECRET is not configured; confirmation is sent without a ticket', { referenceId });
+    }
+
+    const data = {
+        participant: userData,
+        event: { ...event, ...formatEventSchedule(event) },
+        referenceId,
+        transactionId,
+        amountPaid: amountPaid !== undefined ? amountPaid : event.basePrice,
+        currency: event.currency,
+        ticket: ticket ? { code: ticket.code, qrCid: 'ticket-qr' } : null,
+        invoiceNumber: invoice ? invoice.invoiceNumber : null
+    };
+
+    const context = { type: 'registration-confirmation', referenceId, paymentId: transactionId };
+    const participantMessage = buildMailOptions('registration-confirmation', userData.email, data);
+    participantMessage.attachments = [];
+    if (ticket) {
+        participantMessage.attachments.push({
+            filename: `ticket-${ticket.code}.png`,
+            content: ticket.qrPng.toString('base64'),
+            contentType: 'image/png',
+            cid: 'ticket-qr'
+        });
+    }
+    // The invoice can still be downloaded later, so a PDF that fails to
+    // render doesn't hold up the confirmation
+    if (invoice) {
+        try {
+            const pdf = await renderInvoicePdf(invoice);
+            participantMessage.attachments.push({
+                filename: invoiceFileName(invoice),
+                content: pdf.toString('base64'),
+                contentType: 'application/pdf',
+                cid: null
+            });
+        } catch (pdfError) {
+            logger.error('Invoice PDF could not be attached', { referenceId, invoiceNumber: invoice.invoiceNumber, error: pdfError });
+        }
+    }
+
+    // Once queued, delivery (and retrying) is up to the outbox
+    try {
+        await queueEmail(participantMessage, {
+            dedupeKey: `confirmation-${transactionId}-participant`,
+            context
+        });
+        await queueEmail(buildMailOptions('registration-admin-notification', getConfig().emailUser, data), {
+            dedupeKey: `confirmation-${transactionId}-admin`,
+            context
+        });
+        return true;
+    } catch (emailError) {
+        logger.error('Error queueing confirmation emails', { error: emailError });
+        return false;
+    }
+}
+
+// Function to notify a participant (and the admin inbox) about a refund.
+// `fullyRefunded` says whether the payment as a whole is now refunded.
+async function sendRefundNotificationEmail(registration, refund, { event, fullyRefunded } = {}) {
+    const data = {
+        participant: registration,
+        refund,
+        eventTitle: event ? event.title : 'your registration',
+        fullRefund: !!fullyRefunded
+    };
+
+    const context = { type: 'refund-notification', refundId: refund.refundId, paymentId: refund.paymentId };
+
+    try {
+        await queueEmail(buildMailOptions('refund-notification', registration.email, data), {
+            dedupeKey: `refund-${refund.refundId}-participant`,
+            context
+        });
+        await queueEmail(buildMailOptions('refund-admin-notification', getConfig().emailUser, data), {
+            dedupeKey: `refund-${refund.refundId}-admin`,
+            context
+        });
+        return true;
+    } catch (emailError) {
+        logger.error('Error queueing refund emails', { error: emailError });
+        return false;
+    }
+}
+
+module.exports = {
+    buildMailOptions,
+    sendConfirmationEmails,
+    sendRefundNotificationEmail
+};
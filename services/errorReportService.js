@@ -0,0 +1,357 @@
+// services/errorReportService.js
+//
+// Errors reported by the frontend (POST /api/log-error), grouped by a
+// fingerprint of the normalised message and the top of the stack:
+//   errorGroups/{fingerprint}          counts, first/last seen, releases,
+//                                      affected users and triage status
+//   errorEvents/{fingerprint}/{pushId} the latest occurrences (capped)
+//   sourceMaps/{releaseKey}/{fileKey}  uploaded source maps (gzipped), used
+//                                      to show minified stacks de-minified
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { SourceMapConsumer } = require('source-map');
+const { getDatabase } = require('../storage');
+
+const ERROR_STATUSES = ['open', 'resolved', 'muted'];
+
+// Occurrences kept per group; older ones are dropped as new ones arrive
+const MAX_EVENTS_PER_GROUP = 50;
+// Stack frames that make up the fingerprint
+const FINGERPRINT_FRAMES = 5;
+
+const db = () => getDatabase();
+const groupsRef = () => db().ref('errorGroups');
+const eventsRef = () => db().ref('errorEvents');
+const sourceMapsRef = () => db().ref('sourceMaps');
+
+function errorReportError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// RTDB keys cannot contain . # $ [ ] /
+function hashKey(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 20);
+}
+
+// Strip what varies between occurrences of the same error: ids, numbers,
+// quoted values and URLs
+function normalizeMessage(message) {
+    return String(message || '')
+        .replace(/https?:\/\/\S+/g, '<url>')
+        .replace(/(["'`]).*?\1/g, '<str>')
+        .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+        .replace(/\b[0-9a-f]{12,}\b/gi, '<hex>')
+        .replace(/-?\b\d+(\.\d+)?\b/g, '<n>')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Chrome/Node:   at fn (https://host/assets/index-abc123.js:1:2345)
+//                at https://host/assets/index-abc123.js:1:2345
+// Firefox/Safari: fn@https://host/assets/index-abc123.js:1:2345
+function parseStack(stack) {
+    return String(stack || '').split('\n').map((line) => {
+        const text = line.trim();
+        const chrome = text.match(/^at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/);
+        const gecko = !chrome && text.match(/^(.*?)@(.+?):(\d+):(\d+)$/);
+        const match = chrome || gecko;
+        if (!match) return null;
+
+        return {
+            function: match[1] || null,
+            url: match[2],
+            line: Number(match[3]),
+            column: Number(match[4])
+        };
+    }).filter(Boolean);
+}
+
+function fileName(url) {
+    return String(url).split(/[?#]/)[0].split('/').pop();
+}
+
+// index-abc123.js and index-def456.js are the same file in another build
+function stableFileName(url) {
+    return fileName(url).replace(/[-.][0-9a-zA-Z_]{6,}(?=\.m?js$)/, '');
+}
+
+function fingerprint(message, stack) {
+    const frames = parseStack(stack)
+        .slice(0, FINGERPRINT_FRAMES)
+        .map(frame => `${frame.function || '?'}@${stableFileName(frame.url)}`);
+
+    return crypto.createHash('sha1')
+        .update([normalizeMessage(message), ...frames].join('\n'))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Store one occurrence. Returns { fingerprint, status } of its group.
+async function recordClientError({ message, stack, release, url, userAgent, user, context }) {
+    const key = fingerprint(message, stack);
+    const now = new Date().toISOString();
+    const userId = user && (user.id || user.email);
+    const userKey = userId ? hashKey(userId) : null;
+    const releaseKey = release ? hashKey(release) : null;
+    const topFrame = parseStack(stack)[0] || null;
+
+    const result = await groupsRef().child(key).transaction((current) => {
+        const group = current || {
+            fingerprint: key,
+            message,
+            normalizedMessage: normalizeMessage(message),
+            topFrame,
+            status: 'open',
+            count: 0,
+            userCount: 0,
+            firstSeen: now,
+            releases: {},
+            users: {}
+        };
+
+        group.count = (group.count || 0) + 1;
+        group.lastSeen = now;
+        group.lastMessage = message;
+
+        if (release) {
+            group.releases = group.releases || {};
+            const seen = group.releases[releaseKey] || { release, count: 0, firstSeen: now };
+            group.releases[releaseKey] = { ...seen, count: seen.count + 1, lastSeen: now };
+            group.lastRelease = release;
+        }
+
+        if (userKey) {
+            group.users = group.users || {};
+            if (!group.users[userKey]) {
+                group.users[userKey] = now;
+                group.userCount = (group.userCount || 0) + 1;
+            }
+        }
+
+        // A resolved error that happens again is reopened; a mute that has
+        // run out ends the same way
+        if (group.status === 'resolved') {
+            group.status = 'open';
+            group.regressedAt = now;
+        } else if (group.status === 'muted' && group.mutedUntil && group.mutedUntil <= now) {
+            group.status = 'open';
+            group.mutedUntil = null;
+        }
+
+        return group;
+    });
+
+    const group = result.snapshot.val();
+
+    // Muted groups are still counted, but their occurrences are not kept
+    if (group.status !== 'muted') {
+        await eventsRef().child(key).push({
+            message,
+            stack: stack || null,
+            release: release || null,
+            url: url || null,
+            userAgent: userAgent || null,
+            user: user ? { id: user.id || null, email: user.email || null } : null,
+            context: context || null,
+            timestamp: now
+        });
+        await pruneEvents(key);
+    }
+
+    return { fingerprint: key, status: group.status };
+}
+
+async function pruneEvents(key) {
+    const snapshot = await eventsRef().child(key).orderByKey().once('value');
+    const excess = snapshot.numChildren() - MAX_EVENTS_PER_GROUP;
+    if (excess <= 0) return;
+
+    const updates = {};
+    let index = 0;
+    snapshot.forEach((child) => {
+        if (index < excess) updates[child.key] = null;
+        index += 1;
+    });
+    await eventsRef().child(key).update(updates);
+}
+
+function summarizeGroup(group) {
+    const { users, releases, ...summary } = group;
+    return {
+        ...summary,
+        releases: Object.values(releases || {}).sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))
+    };
+}
+
+// Groups for the dashboard. `status` 'all' includes muted groups, which are
+// otherwise only listed when asked for.
+async function listErrorGroups({ status = 'open', release, sort = 'lastSeen', limit = 50 } = {}) {
+    const query = status === 'all' ? groupsRef() : groupsRef().orderByChild('status').equalTo(status);
+    const snapshot = await query.once('value');
+
+    const groups = Object.values(snapshot.val() || {})
+        .filter(group => !release || Object.values(group.releases || {}).some(seen => seen.release === release))
+        .sort((a, b) => (sort === 'count'
+            ? (b.count || 0) - (a.count || 0)
+            : String(b.lastSeen).localeCompare(String(a.lastSeen))));
+
+    return {
+        groups: groups.slice(0, limit).map(summarizeGroup),
+        total: groups.length
+    };
+}
+
+async function getErrorGroup(key, { events = 20 } = {}) {
+    const snapshot = await groupsRef().child(key).once('value');
+    if (!snapshot.exists()) return null;
+
+    const eventsSnapshot = await eventsRef().child(key).orderByKey().limitToLast(events).once('value');
+    const occurrences = [];
+    eventsSnapshot.forEach((child) => {
+        occurrences.push({ id: child.key, ...child.val() });
+    });
+    occurrences.reverse();
+
+    for (const occurrence of occurrences) {
+        occurrence.originalStack = await symbolicateStack(occurrence.stack, occurrence.release);
+    }
+
+    return { ...summarizeGroup(snapshot.val()), events: occurrences };
+}
+
+async function updateErrorGroupStatus(key, status, { adminUid, mutedUntil } = {}) {
+    if (!ERROR_STATUSES.includes(status)) {
+        throw errorReportError(`status must be one of: ${ERROR_STATUSES.join(', ')}`, 400);
+    }
+
+    const snapshot = await groupsRef().child(key).once('value');
+    if (!snapshot.exists()) {
+        throw errorReportError('Error group not found', 404);
+    }
+
+    const now = new Date().toISOString();
+    const fields = { status, updatedAt: now, updatedBy: adminUid || null };
+    if (status === 'resolved') {
+        fields.resolvedAt = now;
+        fields.resolvedBy = adminUid || null;
+        fields.resolvedInRelease = snapshot.val().lastRelease || null;
+    }
+    fields.mutedUntil = status === 'muted' ? mutedUntil || null : null;
+
+    await groupsRef().child(key).update(fields);
+    return summarizeGroup({ ...snapshot.val(), ...fields });
+}
+
+// Raw source maps of recently viewed files, so paging through a group's
+// events doesn't fetch and inflate the same map every time
+const sourceMapCache = new Map();
+const SOURCE_MAP_CACHE_SIZE = 20;
+
+// Source maps are stored per release and minified file name (e.g.
+// index-abc123.js), gzipped and base64 encoded
+async function saveSourceMap({ release, file, sourceMap, adminUid }) {
+    let parsed;
+    try {
+        parsed = typeof sourceMap === 'string' ? JSON.parse(sourceMap) : sourceMap;
+    } catch (error) {
+        throw errorReportError('sourceMap must be valid JSON', 400);
+    }
+    if (!parsed || parsed.version !== 3 || typeof parsed.mappings !== 'string') {
+        throw errorReportError('sourceMap must be a version 3 source map', 400);
+    }
+
+    const name = fileName(file);
+    const data = zlib.gzipSync(JSON.stringify(parsed)).toString('base64');
+    const record = {
+        release,
+        file: name,
+        size: data.length,
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: adminUid || null
+    };
+
+    await sourceMapsRef().child(hashKey(release)).child(hashKey(name)).set({ ...record, data });
+    sourceMapCache.delete(`${release}\n${name}`);
+    return record;
+}
+
+async function listSourceMaps(release) {
+    const query = release ? sourceMapsRef().child(hashKey(release)) : sourceMapsRef();
+    const snapshot = await query.once('value');
+    const maps = [];
+
+    const collect = (entry) => {
+        const { data, ...record } = entry;
+        maps.push(record);
+    };
+    if (release) {
+        Object.values(snapshot.val() || {}).forEach(collect);
+    } else {
+        Object.values(snapshot.val() || {}).forEach(files => Object.values(files).forEach(collect));
+    }
+
+    return maps.sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+}
+
+async function loadSourceMap(release, name) {
+    const cacheKey = `${release}\n${name}`;
+    if (sourceMapCache.has(cacheKey)) return sourceMapCache.get(cacheKey);
+
+    const snapshot = await sourceMapsRef().child(hashKey(release)).child(hashKey(name)).child('data').once('value');
+    const raw = snapshot.exists()
+        ? JSON.parse(zlib.gunzipSync(Buffer.from(snapshot.val(), 'base64')).toString('utf8'))
+        : null;
+
+    if (sourceMapCache.size >= SOURCE_MAP_CACHE_SIZE) {
+        sourceMapCache.delete(sourceMapCache.keys().next().value);
+    }
+    sourceMapCache.set(cacheKey, raw);
+    return raw;
+}
+
+// The stack with every frame that has a source map for its release mapped
+// back to the original source. Null when nothing could be mapped.
+async function symbolicateStack(stack, release) {
+    if (!stack || !release) return null;
+
+    const frames = parseStack(stack);
+    const mapped = new Map();
+
+    for (const name of new Set(frames.map(frame => fileName(frame.url)))) {
+        const raw = await loadSourceMap(release, name);
+        if (!raw) continue;
+
+        await SourceMapConsumer.with(raw, null, (consumer) => {
+            frames.filter(frame => fileName(frame.url) === name).forEach((frame) => {
+                const position = consumer.originalPositionFor({ line: frame.line, column: frame.column - 1 });
+                if (position.source) mapped.set(frame, position);
+            });
+        });
+    }
+
+    if (!mapped.size) return null;
+
+    return frames.map((frame) => {
+        const position = mapped.get(frame);
+        if (!position) return `    at ${frame.function || '<anonymous>'} (${frame.url}:${frame.line}:${frame.column})`;
+
+        const name = position.name || frame.function || '<anonymous>';
+        return `    at ${name} (${position.source}:${position.line}:${position.column + 1})`;
+    }).join('\n');
+}
+
+module.exports = {
+    ERROR_STATUSES,
+    normalizeMessage,
+    parseStack,
+    fingerprint,
+    recordClientError,
+    listErrorGroups,
+    getErrorGroup,
+    updateErrorGroupStatus,
+    saveSourceMap,
+    listSourceMaps,
+    symbolicateStack
+};
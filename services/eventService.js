@@ -0,0 +1,220 @@
+// services/eventService.js
+const { getDatabase } = require('../storage');
+
+const EVENT_STATUSES = ['draft', 'published', 'closed', 'cancelled', 'completed'];
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_CURRENCY = 'INR';
+
+const eventsRef = () => getDatabase().ref('events');
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+function isValidPrice(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Event prices are stored in rupees; Razorpay wants paisa
+function toPaise(amount) {
+    return Math.round(amount * 100);
+}
+
+// Validate an admin-supplied event payload. With `partial` only the supplied
+// fields are checked, which is what updates need.
+function normalizeEventInput(input, { partial = false } = {}) {
+    const errors = [];
+    const event = {};
+    const has = (field) => input[field] !== undefined;
+
+    if (has('title') || !partial) {
+        if (typeof input.title !== 'string' || !input.title.trim()) {
+            errors.push('title is required');
+        } else {
+            event.title = input.title.trim();
+        }
+    }
+
+    if (has('startsAt') || !partial) {
+        if (!isValidDate(input.startsAt)) {
+            errors.push('startsAt must be an ISO date-time');
+        } else {
+            event.startsAt = new Date(input.startsAt).toISOString();
+        }
+    }
+
+    if (has('endsAt')) {
+        if (input.endsAt === null) {
+            event.endsAt = null;
+        } else if (!isValidDate(input.endsAt)) {
+            errors.push('endsAt must be an ISO date-time');
+        } else {
+            event.endsAt = new Date(input.endsAt).toISOString();
+        }
+    }
+
+    if (event.startsAt && event.endsAt && event.endsAt <= event.startsAt) {
+        errors.push('endsAt must be after startsAt');
+    }
+
+    if (has('timezone') || !partial) {
+        const timezone = input.timezone || DEFAULT_TIMEZONE;
+        if (!isValidTimezone(timezone)) {
+            errors.push(`Unknown timezone: ${timezone}`);
+        } else {
+            event.timezone = timezone;
+        }
+    }
+
+    if (has('venue') || !partial) {
+        if (typeof input.venue !== 'string' || !input.venue.trim()) {
+            errors.push('venue is required');
+        } else {
+            event.venue = input.venue.trim();
+        }
+    }
+
+    if (has('joinLink')) {
+        if (input.joinLink && !/^https?:\/\//i.test(input.joinLink)) {
+            errors.push('joinLink must be an http(s) URL');
+        } else {
+            event.joinLink = input.joinLink || null;
+        }
+    }
+
+    if (has('basePrice') || !partial) {
+        if (!isValidPrice(input.basePrice)) {
+            errors.push('basePrice must be a non-negative number (in rupees)');
+        } else {
+            event.basePrice = input.basePrice;
+        }
+    }
+
+    if (has('currency') || !partial) {
+        event.currency = (input.currency || DEFAULT_CURRENCY).toUpperCase();
+    }
+
+    if (has('status') || !partial) {
+        const status = input.status || 'draft';
+        if (!EVENT_STATUSES.includes(status)) {
+            errors.push(`status must be one of: ${EVENT_STATUSES.join(', ')}`);
+        } else {
+            event.status = status;
+        }
+    }
+
+    // Reminder offsets such as "24h" or "90m"; unset means REMINDER_OFFSETS
+    if (has('reminderOffsets')) {
+        const offsets = input.reminderOffsets;
+        if (offsets !== null && (!Array.isArray(offsets) || !offsets.every(offset => /^\d+[mhd]$/.test(offset)))) {
+            errors.push('reminderOffsets must be an array like ["24h", "1h"]');
+        } else {
+            event.reminderOffsets = offsets && offsets.length ? offsets : null;
+        }
+    }
+
+    ['description', 'confirmationMessage'].forEach((field) => {
+        if (has(field)) {
+            event[field] = input[field] ? String(input[field]).trim() : null;
+        }
+    });
+
+    return { event, errors };
+}
+
+async function getEvent(eventId) {
+    if (!eventId) return null;
+
+    const snapshot = await eventsRef().child(eventId).once('value');
+    return snapshot.exists() ? { id: eventId, ...snapshot.val() } : null;
+}
+
+async function listEvents({ status } = {}) {
+    const query = status ? eventsRef().orderByChild('status').equalTo(status) : eventsRef();
+    const snapshot = await query.once('value');
+    const events = snapshot.val() || {};
+
+    return Object.entries(events)
+        .map(([id, value]) => ({ id, ...value }))
+        .sort((a, b) => (a.startsAt || '').localeCompare(b.startsAt || ''));
+}
+
+async function createEvent(data) {
+    const now = new Date().toISOString();
+    const ref = eventsRef().push();
+    const event = { ...data, createdAt: now, updatedAt: now };
+
+    await ref.set(event);
+    return { id: ref.key, ...event };
+}
+
+async function updateEvent(eventId, data) {
+    await eventsRef().child(eventId).update({
+        ...data,
+        updatedAt: new Date().toISOString()
+    });
+    return getEvent(eventId);
+}
+
+async function deleteEvent(eventId) {
+    await eventsRef().child(eventId).remove();
+}
+
+// Price (in rupees) a participant pays for the event before any coupon
+function getEventPrice(event) {
+    return event.basePrice;
+}
+
+// Human readable date/time for emails, rendered in the event's own timezone
+function formatEventSchedule(event) {
+    const timeZone = event.timezone || DEFAULT_TIMEZONE;
+    const start = new Date(event.startsAt);
+
+    const date = new Intl.DateTimeFormat('en-IN', {
+        timeZone,
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric'
+    }).format(start);
+
+    const time = new Intl.DateTimeFormat('en-IN', {
+        timeZone,
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true,
+        timeZoneName: 'short'
+    }).format(start);
+
+    return { date, time };
+}
+
+// Event as shown to unauthenticated visitors; the join link is only shared
+// with confirmed participants
+function toPublicEvent(event) {
+    const { joinLink, createdAt, updatedAt, ...publicEvent } = event;
+    return publicEvent;
+}
+
+module.exports = {
+    EVENT_STATUSES,
+    normalizeEventInput,
+    getEvent,
+    listEvents,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+    getEventPrice,
+    formatEventSchedule,
+    toPublicEvent,
+    toPaise
+};
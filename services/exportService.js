@@ -0,0 +1,97 @@
+// services/exportService.js
+//
+// Streams tabular data to an HTTP response as CSV or XLSX. Columns are
+// `{ header, key, width?, value? }`; `value(row)` overrides `row[key]`.
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+function cellValue(column, row) {
+    const value = column.value ? column.value(row) : row[column.key];
+    return value === undefined || value === null ? '' : value;
+}
+
+// Spreadsheet apps run cells starting with = + - @ as formulas. Phone
+// numbers (+91...) and negative amounts are left alone.
+function neutralizeFormula(text) {
+    if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s.]+$)/.test(text)) {
+        return `'${text}`;
+    }
+    return text;
+}
+
+function toCsvField(value) {
+    const text = neutralizeFormula(String(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+    return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+async function writeCsv(res, columns, rows, filename) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+
+    // BOM so Excel opens the file as UTF-8
+    res.write('\uFEFF');
+    res.write(toCsvLine(columns.map(column => column.header)));
+
+    for (const row of rows) {
+        if (res.destroyed) return;
+
+        const ok = res.write(toCsvLine(columns.map(column => cellValue(column, row))));
+        if (!ok) {
+            // Wait for the client to catch up (or go away)
+            await new Promise((resolve) => {
+                const done = () => {
+                    res.off('drain', done);
+                    res.off('close', done);
+                    resolve();
+                };
+                res.on('drain', done);
+                res.on('close', done);
+            });
+        }
+    }
+
+    res.end();
+}
+
+async function writeXlsx(res, columns, rows, filename, sheetName = 'Sheet1') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: column.width || 18
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for (const row of rows) {
+        const values = {};
+        columns.forEach((column) => {
+            values[column.key] = cellValue(column, row);
+        });
+        sheet.addRow(values).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+}
+
+// `rows` can be any iterable; `filename` is without extension
+async function sendExport(res, format, { columns, rows, filename, sheetName }) {
+    if (format === 'xlsx') {
+        return writeXlsx(res, columns, rows, filename, sheetName);
+    }
+    return writeCsv(res, columns, rows, filename);
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    sendExport
+};
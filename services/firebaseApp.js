@@ -0,0 +1,28 @@
+// services/firebaseApp.js
+//
+// Firebase Admin SDK initialisation, shared by server.js and scripts/
+const admin = require('firebase-admin');
+const { getConfig } = require('../config');
+
+// Returns false when there is no service account, which the configuration
+// only allows together with memory storage
+function initializeFirebase() {
+    const account = getConfig().firebaseServiceAccount;
+    if (!account) return false;
+    if (admin.apps.length > 0) return true;
+
+    const serviceAccount = {
+        ...account,
+        private_key: account.private_key.replace(/\\n/g, '\n')
+    };
+
+    admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        databaseURL: `https://${serviceAccount.project_id}-default-rtdb.firebaseio.com`
+    });
+    return true;
+}
+
+module.exports = {
+    initializeFirebase
+};
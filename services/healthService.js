@@ -0,0 +1,145 @@
+// services/healthService.js
+//
+// Readiness checks that actually exercise each dependency: a write and read
+// back on the database, an SMTP handshake and a payment gateway API call.
+// Probes run in parallel with a timeout each, and the report is cached for
+// HEALTH_CACHE_TTL_MS (30s) so monitors polling the endpoint don't turn into
+// a stream of logins to Gmail and calls to Razorpay.
+//
+// A critical dependency (the database) being down makes the service "down";
+// any other failing check only makes it "degraded".
+const os = require('os');
+const { getDatabase, getStorageBackend } = require('../storage');
+const { getPaymentGateway } = require('../payments');
+const { verifyTransport } = require('./mailService');
+const { logger } = require('./logger');
+const { getConfig } = require('../config');
+
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`.replace(/[.#$[\]/]/g, '_');
+const startedAt = Date.now();
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Write a token under healthChecks/{instance} and read it back
+async function checkStorage() {
+    const ref = getDatabase().ref('healthChecks').child(INSTANCE_ID);
+    const token = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    await ref.set({ token, checkedAt: new Date().toISOString() });
+    const snapshot = await ref.once('value');
+
+    if (!snapshot.exists() || snapshot.val().token !== token) {
+        throw new Error('Value read back does not match what was written');
+    }
+    return { backend: getStorageBackend() };
+}
+
+async function checkEmail() {
+    await verifyTransport();
+    return { transport: getConfig().mailTransport };
+}
+
+async function checkPayments() {
+    const gateway = getPaymentGateway();
+    if (!gateway.isConfigured()) {
+        throw new Error(`Payment gateway ${gateway.name} is not configured`);
+    }
+
+    await gateway.checkConnection();
+    return { gateway: gateway.name };
+}
+
+const CHECKS = [
+    { name: 'storage', critical: true, run: checkStorage },
+    { name: 'email', critical: false, run: checkEmail },
+    { name: 'payments', critical: false, run: checkPayments }
+];
+
+async function runCheck({ name, critical, run }) {
+    const start = Date.now();
+
+    try {
+        const details = await withTimeout(run(), getConfig().healthCheckTimeoutMs);
+        return { name, status: 'up', critical, latencyMs: Date.now() - start, ...details };
+    } catch (error) {
+        return { name, status: 'down', critical, latencyMs: Date.now() - start, error: error.message || String(error) };
+    }
+}
+
+function overallStatus(checks) {
+    if (checks.some(check => check.status === 'down' && check.critical)) return 'down';
+    if (checks.some(check => check.status === 'down')) return 'degraded';
+    return 'ok';
+}
+
+let cached = null;
+let inFlight = null;
+let lastStatuses = {};
+
+// Log only changes, so a dependency going down shows up once in the logs
+function logTransitions(checks) {
+    for (const check of checks) {
+        const previous = lastStatuses[check.name];
+        if (previous === check.status) continue;
+
+        if (check.status === 'down') {
+            logger.warn('Health check failed', { check: check.name, error: check.error, latencyMs: check.latencyMs });
+        } else if (previous) {
+            logger.info('Health check recovered', { check: check.name, latencyMs: check.latencyMs });
+        }
+    }
+    lastStatuses = Object.fromEntries(checks.map(check => [check.name, check.status]));
+}
+
+async function runChecks() {
+    const results = await Promise.all(CHECKS.map(runCheck));
+    logTransitions(results);
+
+    return {
+        status: overallStatus(results),
+        checkedAt: new Date().toISOString(),
+        checks: Object.fromEntries(results.map(({ name, ...result }) => [name, result]))
+    };
+}
+
+// Readiness report: { status: ok|degraded|down, checkedAt, cached, checks }.
+// Concurrent callers share one run of the probes.
+async function getReadiness() {
+    // HEALTH_CACHE_TTL_MS=0 disables the cache
+    if (cached && Date.now() - cached.at < getConfig().healthCacheTtlMs) {
+        return { ...cached.report, cached: true };
+    }
+
+    if (!inFlight) {
+        inFlight = runChecks()
+            .then((report) => {
+                cached = { at: Date.now(), report };
+                return report;
+            })
+            .finally(() => {
+                inFlight = null;
+            });
+    }
+
+    return { ...(await inFlight), cached: false };
+}
+
+// Liveness: the process is up and serving requests; no dependency is probed
+function getLiveness() {
+    return {
+        status: 'ok',
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    getReadiness,
+    getLiveness
+};
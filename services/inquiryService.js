@@ -0,0 +1,196 @@
+// services/inquiryService.js
+//
+// Contact form inquiries are stored at inquiries/{inquiryId}; everything that
+// happens to one afterwards (notes, replies, status and assignment changes)
+// is appended to its thread at inquiryThreads/{inquiryId}, which is kept
+// apart so listing the inbox doesn't load every conversation.
+const inquiryRepository = require('../repositories/inquiryRepository');
+const { renderEmail } = require('./templateService');
+const { queueEmail } = require('./mailService');
+const { getUserRoles, hasPermission } = require('./roleService');
+
+const INQUIRY_STATUSES = ['new', 'contacted', 'converted', 'closed'];
+
+const COURSE_INTERESTS = {
+    beginner: 'Beginner Phonics',
+    advanced: 'Advanced Pronunciation',
+    professional: 'Professional Speaking',
+    custom: 'Custom Learning Plan'
+};
+
+function inquiryError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function courseLabel(courseInterest) {
+    return COURSE_INTERESTS[courseInterest] || courseInterest || 'General';
+}
+
+function formatDate(isoDate) {
+    return new Date(isoDate).toLocaleDateString('en-IN', {
+        day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Kolkata'
+    });
+}
+
+async function addThreadEntry(inquiryId, entry) {
+    const entryId = inquiryRepository.newThreadEntryId(inquiryId);
+    const stored = { ...entry, at: new Date().toISOString() };
+    await inquiryRepository.saveThreadEntry(inquiryId, entryId, stored);
+    return { id: entryId, ...stored };
+}
+
+async function getInquiry(inquiryId, { withThread = false } = {}) {
+    const inquiry = await inquiryRepository.getInquiry(inquiryId);
+    if (!inquiry) return null;
+
+    if (withThread) {
+        inquiry.thread = (await inquiryRepository.listThread(inquiryId))
+            .sort((a, b) => a.at.localeCompare(b.at));
+    }
+    return inquiry;
+}
+
+async function requireInquiry(inquiryId) {
+    const inquiry = await getInquiry(inquiryId);
+    if (!inquiry) {
+        throw inquiryError('Inquiry not found', 404);
+    }
+    return inquiry;
+}
+
+async function createInquiry({ name, email, phone, courseInterest, message }) {
+    const now = new Date().toISOString();
+    const inquiry = {
+        name,
+        email,
+        phone: phone || null,
+        courseInterest: courseInterest || null,
+        message,
+        status: 'new',
+        assignedTo: null,
+        replyCount: 0,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const id = await inquiryRepository.createInquiry(inquiry);
+    return { id, ...inquiry };
+}
+
+// Newest first. One filter is done by the database, the rest in memory.
+async function listInquiries({ status, courseInterest, assignedTo, limit = 50 } = {}) {
+    const inquiries = await inquiryRepository.listInquiries({ status, courseInterest });
+    return inquiries
+        .filter(inquiry => !courseInterest || inquiry.courseInterest === courseInterest)
+        .filter(inquiry => !assignedTo || inquiry.assignedTo === assignedTo)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+}
+
+async function updateStatus(inquiryId, status, { adminUid, note } = {}) {
+    const inquiry = await requireInquiry(inquiryId);
+    if (inquiry.status === status) return inquiry;
+
+    await inquiryRepository.updateInquiry(inquiryId, { status, updatedAt: new Date().toISOString() });
+    await addThreadEntry(inquiryId, {
+        type: 'status',
+        from: inquiry.status,
+        to: status,
+        note: note || null,
+        by: adminUid
+    });
+
+    return getInquiry(inquiryId);
+}
+
+// Assign to an admin, or unassign with a falsy `assignedTo`
+async function assignInquiry(inquiryId, assignedTo, { adminUid } = {}) {
+    const inquiry = await requireInquiry(inquiryId);
+
+    if (assignedTo) {
+        const roles = await getUserRoles(assignedTo).catch(() => []);
+        if (!hasPermission(roles, 'inquiries:manage')) {
+            throw inquiryError('Inquiries can only be assigned to admins who can manage inquiries', 400);
+        }
+    }
+
+    await inquiryRepository.updateInquiry(inquiryId, {
+        assignedTo: assignedTo || null,
+        updatedAt: new Date().toISOString()
+    });
+    await addThreadEntry(inquiryId, {
+        type: 'assignment',
+        from: inquiry.assignedTo || null,
+        to: assignedTo || null,
+        by: adminUid
+    });
+
+    return getInquiry(inquiryId);
+}
+
+async function addNote(inquiryId, note, { adminUid } = {}) {
+    await requireInquiry(inquiryId);
+
+    const entry = await addThreadEntry(inquiryId, { type: 'note', note, by: adminUid });
+    await inquiryRepository.updateInquiry(inquiryId, { updatedAt: entry.at });
+    return entry;
+}
+
+// Email the person who asked and log the reply on the thread. A new
+// inquiry is marked as contacted.
+async function replyToInquiry(inquiryId, { subject, message }, { adminUid } = {}) {
+    const inquiry = await requireInquiry(inquiryId);
+
+    const entryId = inquiryRepository.newThreadEntryId(inquiryId);
+    const rendered = renderEmail('inquiry-reply', {
+        name: inquiry.name,
+        courseInterestText: courseLabel(inquiry.courseInterest),
+        subject,
+        message,
+        inquiryDate: formatDate(inquiry.createdAt),
+        originalMessage: inquiry.message
+    });
+
+    const result = await queueEmail({ to: inquiry.email, ...rendered }, {
+        dedupeKey: `inquiry-reply-${inquiryId}-${entryId}`,
+        context: { type: 'inquiry-reply', inquiryId }
+    });
+
+    const now = new Date().toISOString();
+    const entry = {
+        type: 'reply',
+        subject: rendered.subject,
+        message,
+        by: adminUid,
+        emailId: result.id,
+        emailStatus: result.status,
+        at: now
+    };
+    await inquiryRepository.saveThreadEntry(inquiryId, entryId, entry);
+
+    await inquiryRepository.updateInquiry(inquiryId, {
+        replyCount: (inquiry.replyCount || 0) + 1,
+        lastRepliedAt: now,
+        updatedAt: now
+    });
+    if (inquiry.status === 'new') {
+        await updateStatus(inquiryId, 'contacted', { adminUid, note: 'Replied by email' });
+    }
+
+    return { id: entryId, ...entry };
+}
+
+module.exports = {
+    INQUIRY_STATUSES,
+    COURSE_INTERESTS,
+    courseLabel,
+    createInquiry,
+    getInquiry,
+    listInquiries,
+    updateStatus,
+    assignInquiry,
+    addNote,
+    replyToInquiry
+};
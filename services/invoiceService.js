@@ -0,0 +1,246 @@
+// services/invoiceService.js
+//
+// One invoice per confirmed payment, stored at invoices/{paymentId}. The
+// record is a snapshot of everything printed on it (seller, buyer, amounts,
+// tax split), and the PDF is rendered from that snapshot alone with a fixed
+// creation date, so downloading it again always gives the same file.
+//
+// Numbers are sequential per Indian financial year (April-March), e.g.
+// INV/25-26/00042, from the counter at invoiceCounters/{25-26}.
+//
+// Seller details come from the environment:
+//   BUSINESS_NAME, BUSINESS_ADDRESS, BUSINESS_EMAIL, BUSINESS_GSTIN,
+//   BUSINESS_STATE (e.g. "Karnataka"), BUSINESS_STATE_CODE (e.g. "29"),
+//   GST_RATE (percent, default 18), INVOICE_SAC (default 999293),
+//   INVOICE_PREFIX (default INV)
+// Without a GSTIN the document is issued as a plain receipt with no tax lines.
+const PDFDocument = require('pdfkit');
+const { formatEventSchedule } = require('./eventService');
+const { getConfig } = require('../config');
+const invoiceRepository = require('../repositories/invoiceRepository');
+const registrationRepository = require('../repositories/registrationRepository');
+
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// "25-26" for any date from 1 April 2025 to 31 March 2026 (IST)
+function financialYear(isoDate) {
+    const date = new Date(Date.parse(isoDate) + 5.5 * 60 * 60 * 1000);
+    const startYear = date.getUTCMonth() >= 3 ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+    return `${String(startYear % 100).padStart(2, '0')}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+function getSellerDetails() {
+    const config = getConfig();
+    return {
+        name: config.businessName,
+        address: config.businessAddress,
+        email: config.businessEmail,
+        gstin: config.businessGstin,
+        state: config.businessState,
+        stateCode: config.businessStateCode
+    };
+}
+
+// Prices are GST-inclusive. We don't collect the buyer's address, so the
+// place of supply is the seller's state and tax is split into CGST + SGST.
+function calculateTax(total, seller) {
+    if (!seller.gstin) {
+        return { total, taxableValue: total, rate: 0, cgst: 0, sgst: 0, totalTax: 0 };
+    }
+
+    const rate = getConfig().gstRate;
+    const taxableValue = roundAmount(total / (1 + rate / 100));
+    const totalTax = roundAmount(total - taxableValue);
+    const cgst = roundAmount(totalTax / 2);
+
+    return {
+        total,
+        taxableValue,
+        rate,
+        cgst,
+        sgst: roundAmount(totalTax - cgst),
+        totalTax
+    };
+}
+
+async function nextInvoiceNumber(issuedAt) {
+    const year = financialYear(issuedAt);
+    const counter = await invoiceRepository.nextCounterValue(year);
+    const prefix = getConfig().invoicePrefix;
+
+    return `${prefix}/${year}/${String(counter).padStart(5, '0')}`;
+}
+
+async function getInvoice(paymentId) {
+    return invoiceRepository.getInvoice(paymentId);
+}
+
+// Create the invoice for a payment, or return the existing one. Callers
+// must not run this concurrently for the same payment (payment confirmation
+// runs it as a step), otherwise a number can be skipped. Throws, before a
+// number is taken, when the amount paid is not known.
+async function issueInvoice({ paymentId, orderId, registrationId, registration, order, event, issuedAt }) {
+    const existing = await getInvoice(paymentId);
+    if (existing) return existing;
+
+    const total = roundAmount(Number(order && order.orderAmount));
+    if (!(total > 0)) {
+        throw new Error(`Amount paid for ${paymentId} is unknown; not issuing an invoice`);
+    }
+
+    const seller = getSellerDetails();
+    const schedule = event ? formatEventSchedule(event) : {};
+    const invoice = {
+        invoiceNumber: await nextInvoiceNumber(issuedAt),
+        type: seller.gstin ? 'tax_invoice' : 'receipt',
+        paymentId,
+        orderId,
+        registrationId,
+        issuedAt,
+        currency: (order && order.orderCurrency) || 'INR',
+        seller,
+        buyer: {
+            name: registration.fullName || '',
+            email: registration.email || '',
+            phone: registration.phone || null,
+            city: registration.city || null
+        },
+        item: {
+            description: event ? `${event.title}${schedule.date ? ` (${schedule.date})` : ''}` : 'Event registration',
+            sac: getConfig().invoiceSac,
+            quantity: 1,
+            basePrice: roundAmount(Number(order && order.basePrice) || total),
+            discount: order && order.coupon ? order.coupon.discountAmount : 0,
+            couponCode: order && order.coupon ? order.coupon.code : null
+        },
+        amounts: calculateTax(total, seller)
+    };
+
+    const stored = await invoiceRepository.createInvoiceIfMissing(paymentId, invoice);
+    await registrationRepository.updateRegistration(registrationId, { invoiceNumber: stored.invoiceNumber });
+    return stored;
+}
+
+function formatMoney(amount, currency) {
+    return `${currency} ${Number(amount || 0).toFixed(2)}`;
+}
+
+function formatDate(isoDate) {
+    return new Date(isoDate).toLocaleDateString('en-IN', {
+        day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Kolkata'
+    });
+}
+
+// Render the stored invoice as a PDF Buffer
+function renderInvoicePdf(invoice) {
+    const issuedDate = new Date(invoice.issuedAt);
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+            Title: `Invoice ${invoice.invoiceNumber}`,
+            Author: invoice.seller.name,
+            CreationDate: issuedDate,
+            ModDate: issuedDate
+        }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const { seller, buyer, item, amounts, currency } = invoice;
+    const money = amount => formatMoney(amount, currency);
+    const left = 50;
+    const right = doc.page.width - 50;
+
+    doc.fontSize(20).font('Helvetica-Bold')
+        .text(invoice.type === 'tax_invoice' ? 'TAX INVOICE' : 'PAYMENT RECEIPT', { align: 'right' });
+    doc.moveDown(0.5).fontSize(10).font('Helvetica')
+        .text(`Invoice No: ${invoice.invoiceNumber}`, { align: 'right' })
+        .text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' });
+
+    doc.moveDown().font('Helvetica-Bold').fontSize(12).text(seller.name, left);
+    doc.font('Helvetica').fontSize(10);
+    if (seller.address) doc.text(seller.address);
+    if (seller.email) doc.text(seller.email);
+    if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+    if (seller.state) doc.text(`State: ${seller.state}${seller.stateCode ? ` (${seller.stateCode})` : ''}`);
+
+    doc.moveDown().font('Helvetica-Bold').text('Billed To');
+    doc.font('Helvetica').text(buyer.name).text(buyer.email);
+    if (buyer.phone) doc.text(buyer.phone);
+    if (buyer.city) doc.text(buyer.city);
+
+    // Line item table
+    doc.moveDown(1.5);
+    const columns = [left, left + 280, left + 340, left + 400];
+    const header = doc.y;
+    doc.font('Helvetica-Bold')
+        .text('Description', columns[0], header)
+        .text('SAC', columns[1], header)
+        .text('Qty', columns[2], header)
+        .text('Amount', columns[3], header, { width: right - columns[3], align: 'right' });
+    doc.moveTo(left, doc.y + 4).lineTo(right, doc.y + 4).stroke();
+
+    const row = doc.y + 10;
+    doc.font('Helvetica')
+        .text(item.description, columns[0], row, { width: 270 })
+        .text(item.sac, columns[1], row)
+        .text(String(item.quantity), columns[2], row)
+        .text(money(item.basePrice), columns[3], row, { width: right - columns[3], align: 'right' });
+    doc.moveDown();
+
+    const lines = [];
+    if (item.discount) {
+        lines.push([`Discount${item.couponCode ? ` (${item.couponCode})` : ''}`, `- ${money(item.discount)}`]);
+    }
+    if (invoice.type === 'tax_invoice') {
+        lines.push(['Taxable value', money(amounts.taxableValue)]);
+        lines.push([`CGST @ ${amounts.rate / 2}%`, money(amounts.cgst)]);
+        lines.push([`SGST @ ${amounts.rate / 2}%`, money(amounts.sgst)]);
+    }
+
+    doc.moveTo(left, doc.y + 4).lineTo(right, doc.y + 4).stroke();
+    doc.moveDown();
+    lines.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.text(label, columns[1], y).text(value, columns[3], y, { width: right - columns[3], align: 'right' });
+    });
+
+    const totalY = doc.y + 6;
+    doc.font('Helvetica-Bold')
+        .text('Total paid', columns[1], totalY)
+        .text(money(amounts.total), columns[3], totalY, { width: right - columns[3], align: 'right' });
+
+    doc.moveDown(2).font('Helvetica').fontSize(9)
+        .text(`Payment ID: ${invoice.paymentId}`, left)
+        .text(`Order ID: ${invoice.orderId}`)
+        .text(`Registration ID: ${invoice.registrationId}`);
+    if (invoice.type === 'tax_invoice') {
+        doc.text('Prices are inclusive of GST. Place of supply: ' +
+            `${seller.state || 'as per supplier'}. Tax is not payable on reverse charge basis.`);
+    }
+    doc.moveDown().text('This is a computer-generated document and does not require a signature.');
+
+    doc.end();
+    return finished;
+}
+
+function invoiceFileName(invoice) {
+    return `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+}
+
+module.exports = {
+    financialYear,
+    calculateTax,
+    getInvoice,
+    issueInvoice,
+    renderInvoicePdf,
+    invoiceFileName
+};
@@ -0,0 +1,113 @@
+// services/logger.js
+//
+// Structured logger: one JSON object per line on stdout (warn and error on
+// stderr). Entries written while handling a request carry its id, set by
+// middleware/requestContext.js, so a payment can be followed from checkout
+// through the webhook to the emails it sent.
+//
+// LOG_LEVEL is debug, info (default), warn or error. LOG_FORMAT=pretty prints
+// readable lines for local development instead of JSON. Both are read from
+// the environment until server.js applies the validated configuration with
+// configureLogger(), so errors in the configuration itself can be logged.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestStore = new AsyncLocalStorage();
+
+const settings = {
+    level: (process.env.LOG_LEVEL || '').toLowerCase(),
+    format: process.env.LOG_FORMAT
+};
+
+function configureLogger({ level, format } = {}) {
+    if (level) settings.level = level;
+    if (format) settings.format = format;
+}
+
+function minLevel() {
+    return LEVELS[settings.level] || LEVELS.info;
+}
+
+// Run `fn` (and everything it awaits or schedules) with `requestId` as the
+// correlation id of its log entries
+function runWithRequestId(requestId, fn) {
+    return requestStore.run({ requestId }, fn);
+}
+
+function getRequestId() {
+    const store = requestStore.getStore();
+    return store ? store.requestId : null;
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        status: error.status,
+        stack: error.stack
+    };
+}
+
+function serializeFields(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        result[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    return result;
+}
+
+function stringify(entry) {
+    try {
+        return JSON.stringify(entry);
+    } catch (error) {
+        // e.g. a circular structure passed as a field; keep the message
+        const { time, level, msg, requestId } = entry;
+        return JSON.stringify({ time, level, msg, requestId, logError: error.message });
+    }
+}
+
+function prettyLine({ time, level, msg, requestId, ...fields }) {
+    const rest = Object.keys(fields).length ? ` ${stringify(fields)}` : '';
+    return `${time} ${level.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${msg}${rest}`;
+}
+
+function write(level, bindings, msg, fields) {
+    if (LEVELS[level] < minLevel()) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        requestId: getRequestId() || undefined,
+        ...serializeFields({ ...bindings, ...fields })
+    };
+    const line = settings.format === 'pretty' ? prettyLine(entry) : stringify(entry);
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+    stream.write(`${line}\n`);
+}
+
+// `bindings` are added to every entry, e.g. createLogger({ component: 'mail' })
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', bindings, msg, fields),
+        info: (msg, fields) => write('info', bindings, msg, fields),
+        warn: (msg, fields) => write('warn', bindings, msg, fields),
+        error: (msg, fields) => write('error', bindings, msg, fields),
+        child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+    };
+}
+
+const logger = createLogger();
+
+module.exports = {
+    LEVELS,
+    logger,
+    createLogger,
+    configureLogger,
+    runWithRequestId,
+    getRequestId
+};
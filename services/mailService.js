@@ -0,0 +1,276 @@
+// services/mailService.js
+//
+// Every outgoing email is written to mailOutbox/{messageId} first and then
+// delivered, so a throttled or failing transport only delays a message.
+// Failed deliveries are retried with exponential backoff by processOutbox(),
+// which runs on an in-process timer and can also be triggered over HTTP.
+//
+// nextAttemptAt (ms) is set while a message still needs work and cleared once
+// it is sent or given up on, so "due" messages are a single indexed query.
+const { getDatabase } = require('../storage');
+const { createMailTransport } = require('./mailTransport');
+const { logger, getRequestId } = require('./logger');
+const { recordEmailSend } = require('./metrics');
+const { getConfig } = require('../config');
+
+const MESSAGE_STATUSES = ['queued', 'sending', 'sent', 'failed', 'dead'];
+const FINISHED_STATUSES = ['sent', 'dead'];
+const DEFAULT_MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// A message stuck in "sending" (e.g. the function was killed mid-send) is
+// picked up again after this long
+const SEND_LEASE_MS = 2 * 60 * 1000;
+
+const outboxRef = () => getDatabase().ref('mailOutbox');
+
+let transport;
+function getTransport() {
+    if (!transport) {
+        transport = createMailTransport();
+    }
+    return transport;
+}
+
+// Check that mail can be sent; for SMTP this connects and authenticates
+async function verifyTransport() {
+    await getTransport().verify();
+    return true;
+}
+
+function retryDelay(attempts) {
+    const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    // Up to 10% jitter so a burst of failures doesn't retry in lockstep
+    return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+// RTDB keys can't contain . # $ [ ] /
+function toMessageId(dedupeKey) {
+    return dedupeKey.replace(/[.#$[\]/]/g, '_');
+}
+
+// Claim a message for sending. Returns the claimed record or null if it is
+// not due, already sent or being sent by someone else.
+async function claimMessage(messageId) {
+    const now = Date.now();
+
+    const result = await outboxRef().child(messageId).transaction((current) => {
+        if (current === null) return current;
+        if (!['queued', 'failed', 'sending'].includes(current.status)) return undefined;
+        if (current.nextAttemptAt > now) return undefined;
+
+        return {
+            ...current,
+            status: 'sending',
+            attempts: (current.attempts || 0) + 1,
+            lastAttemptAt: new Date(now).toISOString(),
+            nextAttemptAt: now + SEND_LEASE_MS
+        };
+    });
+
+    const claimed = result.snapshot.val();
+    if (!result.committed || !claimed || claimed.status !== 'sending' || claimed.nextAttemptAt !== now + SEND_LEASE_MS) {
+        return null;
+    }
+    return claimed;
+}
+
+// Messages delivered outside a request (by the outbox worker) are logged
+// under the id of the request that queued them
+function deliveryLogFields(messageId, message) {
+    const requestId = getRequestId();
+    return {
+        requestId: requestId || message.requestId || undefined,
+        queuedByRequestId: requestId && message.requestId && message.requestId !== requestId ? message.requestId : undefined,
+        messageId,
+        type: message.context ? message.context.type : undefined,
+        to: message.to,
+        attempt: message.attempts
+    };
+}
+
+// Try to deliver one message. Returns its resulting status.
+async function deliverMessage(messageId) {
+    const message = await claimMessage(messageId);
+    if (!message) return null;
+
+    const ref = outboxRef().child(messageId);
+
+    try {
+        const info = await getTransport().sendMail({
+            from: message.from,
+            to: message.to,
+            replyTo: message.replyTo,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            attachments: (message.attachments || []).map(attachment => ({
+                filename: attachment.filename,
+                content: attachment.content,
+                encoding: 'base64',
+                contentType: attachment.contentType,
+                cid: attachment.cid
+            }))
+        });
+
+        await ref.update({
+            status: 'sent',
+            sentAt: new Date().toISOString(),
+            providerMessageId: info && info.messageId ? info.messageId : null,
+            nextAttemptAt: null,
+            lastError: null
+        });
+
+        recordEmailSend('sent', message.context && message.context.type);
+        logger.info('Email sent', deliveryLogFields(messageId, message));
+        return 'sent';
+    } catch (error) {
+        const exhausted = message.attempts >= (message.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+        const status = exhausted ? 'dead' : 'failed';
+
+        await ref.update({
+            status,
+            lastError: error.message || String(error),
+            nextAttemptAt: exhausted ? null : Date.now() + retryDelay(message.attempts)
+        });
+
+        recordEmailSend('failed', message.context && message.context.type);
+        logger.error('Email delivery failed', { ...deliveryLogFields(messageId, message), status, error: error.message });
+        return status;
+    }
+}
+
+// Persist an email and try to send it straight away. A `dedupeKey` makes
+// queueing idempotent: a second call with the same key returns the existing
+// message instead of sending it again. `context` is free-form metadata
+// (e.g. { type: 'confirmation', paymentId }) shown to admins in the outbox.
+// The id of the current request is stored with the message for its logs.
+// Attachments are stored with the message, so keep them small:
+// [{ filename, content (base64), contentType, cid }].
+async function queueEmail({ to, subject, html, text, from, replyTo, attachments }, { dedupeKey, context, maxAttempts, deliverNow = true } = {}) {
+    const ref = dedupeKey ? outboxRef().child(toMessageId(dedupeKey)) : outboxRef().push();
+    const now = Date.now();
+    const record = {
+        from: from || getConfig().emailUser,
+        to,
+        replyTo: replyTo || null,
+        subject,
+        html,
+        text: text || null,
+        attachments: attachments && attachments.length ? attachments : null,
+        context: context || null,
+        requestId: getRequestId(),
+        status: 'queued',
+        attempts: 0,
+        maxAttempts: maxAttempts || DEFAULT_MAX_ATTEMPTS,
+        createdAt: new Date(now).toISOString(),
+        nextAttemptAt: now
+    };
+
+    const result = await ref.transaction((current) => {
+        if (current !== null) return undefined;
+        return record;
+    });
+
+    if (!result.committed) {
+        return { id: ref.key, status: result.snapshot.val().status, duplicate: true };
+    }
+
+    const status = deliverNow ? await deliverMessage(ref.key) : 'queued';
+    return { id: ref.key, status: status || 'queued', duplicate: false };
+}
+
+// Deliver messages that are due (new, retrying or stuck in "sending").
+// Messages without a nextAttemptAt (sent or dead) sort first in RTDB, so the
+// query has to start above them or they would fill every batch.
+async function processOutbox({ limit = 25 } = {}) {
+    const snapshot = await outboxRef()
+        .orderByChild('nextAttemptAt')
+        .startAt(1)
+        .endAt(Date.now())
+        .limitToFirst(limit)
+        .once('value');
+
+    const summary = { processed: 0, sent: 0, failed: 0, dead: 0 };
+    for (const [messageId, message] of Object.entries(snapshot.val() || {})) {
+        // A finished message still carrying a nextAttemptAt would come back
+        // in every batch; clear it so it stops taking a slot from due ones
+        if (FINISHED_STATUSES.includes(message.status)) {
+            await outboxRef().child(messageId).update({ nextAttemptAt: null });
+            continue;
+        }
+
+        const status = await deliverMessage(messageId);
+        if (!status) continue;
+
+        summary.processed += 1;
+        summary[status] += 1;
+    }
+
+    return summary;
+}
+
+let workerTimer = null;
+
+function startOutboxWorker({ intervalMs = getConfig().mailWorkerIntervalMs } = {}) {
+    if (workerTimer) return workerTimer;
+
+    workerTimer = setInterval(() => {
+        processOutbox().catch(error => logger.error('Mail outbox worker error', { error }));
+    }, intervalMs);
+    workerTimer.unref();
+
+    return workerTimer;
+}
+
+async function getMessage(messageId) {
+    const snapshot = await outboxRef().child(messageId).once('value');
+    return snapshot.exists() ? { id: messageId, ...snapshot.val() } : null;
+}
+
+async function listMessages({ status, limit = 50 } = {}) {
+    const query = status
+        ? outboxRef().orderByChild('status').equalTo(status)
+        : outboxRef().orderByChild('createdAt').limitToLast(limit);
+    const snapshot = await query.once('value');
+
+    return Object.entries(snapshot.val() || {})
+        .map(([id, { html, text, ...message }]) => ({ id, ...message }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+}
+
+// Put a failed or dead message back in the queue with a fresh set of attempts
+async function resendMessage(messageId, resentBy) {
+    const message = await getMessage(messageId);
+    if (!message) return null;
+
+    if (!['failed', 'dead'].includes(message.status)) {
+        const error = new Error(`Only failed messages can be resent (message is ${message.status})`);
+        error.status = 409;
+        throw error;
+    }
+
+    await outboxRef().child(messageId).update({
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        resentBy: resentBy || null,
+        resentAt: new Date().toISOString()
+    });
+
+    const status = await deliverMessage(messageId);
+    return { ...(await getMessage(messageId)), status: status || 'queued' };
+}
+
+module.exports = {
+    MESSAGE_STATUSES,
+    queueEmail,
+    processOutbox,
+    startOutboxWorker,
+    getMessage,
+    listMessages,
+    resendMessage,
+    verifyTransport
+};
@@ -0,0 +1,69 @@
+// services/mailTransport.js
+//
+// Outgoing mail transport, picked with MAIL_TRANSPORT:
+//   gmail (default)  EMAIL_USER / EMAIL_PASSWORD (app password)
+//   smtp             SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD
+//   file             writes each message as JSON into MAIL_SINK_DIR, for
+//                    local development without sending anything
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { getConfig } = require('../config');
+
+const TRANSPORT_TYPES = ['gmail', 'smtp', 'file'];
+
+function createFileTransport(directory) {
+    // jsonTransport only serialises the message, it never opens a connection
+    const serializer = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+        async sendMail(options) {
+            const info = await serializer.sendMail(options);
+            const fileName = `${Date.now()}-${String(info.messageId).replace(/[^a-zA-Z0-9.-]/g, '_')}.json`;
+
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(path.join(directory, fileName), info.message);
+
+            return { ...info, response: `written to ${fileName}` };
+        },
+
+        async verify() {
+            await fs.promises.mkdir(directory, { recursive: true });
+            return true;
+        }
+    };
+}
+
+function createMailTransport(type = getConfig().mailTransport) {
+    const config = getConfig();
+
+    switch (type) {
+        case 'gmail':
+            return nodemailer.createTransport({
+                service: 'gmail',
+                auth: {
+                    user: config.emailUser,
+                    pass: config.emailPassword
+                }
+            });
+        case 'smtp':
+            return nodemailer.createTransport({
+                host: config.smtpHost,
+                port: config.smtpPort,
+                secure: config.smtpSecure,
+                auth: config.smtpUser ? {
+                    user: config.smtpUser,
+                    pass: config.smtpPassword
+                } : undefined
+            });
+        case 'file':
+            return createFileTransport(config.mailSinkDir);
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${type}". Use one of: ${TRANSPORT_TYPES.join(', ')}`);
+    }
+}
+
+module.exports = {
+    TRANSPORT_TYPES,
+    createMailTransport
+};
@@ -0,0 +1,69 @@
+// services/metrics.js
+//
+// Prometheus metrics, served in text format by GET /metrics. Counters live in
+// process memory, so on serverless hosting each instance reports its own
+// values from when it started.
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by route',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+const paymentOutcomes = new client.Counter({
+    name: 'payments_total',
+    help: 'Payments reported by checkout or webhook, by outcome',
+    labelNames: ['outcome', 'source'],
+    registers: [register]
+});
+
+const webhookEvents = new client.Counter({
+    name: 'webhook_events_total',
+    help: 'Payment gateway webhook events by type and processing result',
+    labelNames: ['type', 'result'],
+    registers: [register]
+});
+
+const emailSends = new client.Counter({
+    name: 'email_sends_total',
+    help: 'Email delivery attempts by result',
+    labelNames: ['type', 'result'],
+    registers: [register]
+});
+
+// `route` must be a route pattern (/api/events/:eventId), never the raw
+// path, or every id becomes its own time series
+function observeRequest({ method, route, status, durationSeconds }) {
+    httpRequestDuration.observe({ method, route, status: String(status) }, durationSeconds);
+}
+
+// outcome: confirmed, already_confirmed, not_found, failed or error
+function recordPaymentOutcome(outcome, source) {
+    paymentOutcomes.inc({ outcome, source: source || 'unknown' });
+}
+
+// result: processed, ignored, duplicate, error, or why the delivery was
+// rejected: unconfigured, invalid_signature, malformed or stale
+function recordWebhookEvent(type, result) {
+    webhookEvents.inc({ type: type || 'unknown', result });
+}
+
+// result: sent or failed; type is the outbox context type (event-reminder, ...)
+function recordEmailSend(result, type) {
+    emailSends.inc({ type: type || 'other', result });
+}
+
+module.exports = {
+    register,
+    contentType: register.contentType,
+    observeRequest,
+    recordPaymentOutcome,
+    recordWebhookEvent,
+    recordEmailSend
+};
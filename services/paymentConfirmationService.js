@@ -0,0 +1,228 @@
+// services/paymentConfirmationService.js
+//
+// Single place where a successful payment is turned into a confirmed
+// registration. Both /api/confirm-payment and the Razorpay webhook report
+// payments here, and Razorpay may retry its webhook, so everything is keyed
+// by payment id and each side effect is recorded under
+// paymentConfirmations/{paymentId}/steps once it has run.
+const paymentRepository = require('../repositories/paymentRepository');
+const orderRepository = require('../repositories/orderRepository');
+const { getEvent } = require('./eventService');
+const { redeemCouponForOrder } = require('./couponService');
+const { sendConfirmationEmails } = require('./emailService');
+const { getRegistration, transitionRegistration, findRegistrationIdByOrder } = require('./registrationService');
+const { issueInvoice, getInvoice } = require('./invoiceService');
+const { logger } = require('./logger');
+const { recordPaymentOutcome } = require('./metrics');
+
+// How long a step may stay "running" before another caller may take it over
+// (e.g. the serverless function that claimed it was killed mid-way)
+const STEP_LEASE_MS = 5 * 60 * 1000;
+
+// Create the confirmation record for a payment, or register another report
+// of it. Returns the stored record.
+async function claimConfirmation(paymentId, { orderId, registrationKey, source }) {
+    const now = new Date().toISOString();
+
+    const result = await paymentRepository.transactConfirmation(paymentId, (current) => {
+        if (current === null) {
+            return {
+                paymentId,
+                orderId,
+                registrationKey,
+                status: 'processing',
+                confirmedAt: now,
+                reports: { [source]: 1 },
+                updatedAt: now
+            };
+        }
+
+        current.reports = current.reports || {};
+        current.reports[source] = (current.reports[source] || 0) + 1;
+        current.updatedAt = now;
+        return current;
+    });
+
+    return result.confirmation;
+}
+
+// Run `fn` at most once successfully per payment. A step that failed can be
+// retried by a later report; one that is running elsewhere is skipped.
+async function runStep(paymentId, step, fn) {
+    const startedAt = Date.now();
+
+    const claim = await paymentRepository.transactConfirmationStep(paymentId, step, (current) => {
+        if (current && current.status === 'done') return undefined;
+        if (current && current.status === 'running' && startedAt - current.startedAt < STEP_LEASE_MS) {
+            return undefined;
+        }
+
+        return {
+            status: 'running',
+            startedAt,
+            attempts: ((current && current.attempts) || 0) + 1
+        };
+    });
+
+    const claimed = claim.step;
+    if (!claim.committed || !claimed || claimed.startedAt !== startedAt) {
+        return false;
+    }
+
+    try {
+        const completed = await fn();
+        if (completed === false) {
+            throw new Error(`Step ${step} did not complete`);
+        }
+
+        await paymentRepository.updateConfirmationStep(paymentId, step, { status: 'done', completedAt: new Date().toISOString() });
+        return true;
+    } catch (error) {
+        await paymentRepository.updateConfirmationStep(paymentId, step, {
+            status: 'failed',
+            error: error.message || String(error),
+            failedAt: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+async function getOrderWithEvent(orderId) {
+    const order = await orderRepository.getOrder(orderId);
+    const event = order ? await getEvent(order.eventId) : null;
+
+    return { order, event };
+}
+
+async function processConfirmation({ paymentId, orderId, registrationKey, amount, source }) {
+    const existing = await paymentRepository.getConfirmation(paymentId);
+
+    if (existing && existing.status === 'completed') {
+        await claimConfirmation(paymentId, { orderId, registrationKey: existing.registrationKey, source });
+        return { found: true, registrationKey: existing.registrationKey, alreadyConfirmed: true };
+    }
+
+    const key = (existing && existing.registrationKey) || registrationKey || await findRegistrationIdByOrder(orderId);
+    if (!key) {
+        return { found: false };
+    }
+
+    const registration = await getRegistration(key);
+    if (!registration) {
+        return { found: false };
+    }
+
+    const record = await claimConfirmation(paymentId, { orderId, registrationKey: key, source });
+    const paymentTimestamp = record.confirmedAt;
+    const { order, event } = await getOrderWithEvent(orderId);
+    const eventId = event ? event.id : registration.eventId || null;
+    // Without the order record, the amount the registration's order was
+    // created with, then the amount the gateway reported (webhooks only)
+    const paidAmount = order ? order.orderAmount
+        : (registration.orderId === orderId && registration.orderAmount != null ? registration.orderAmount : amount);
+
+    await runStep(paymentId, 'recordPayment', async () => {
+        const paymentFields = {
+            paymentConfirmed: true,
+            transactionId: paymentId,
+            paymentStatus: 'Confirmed',
+            paymentTimestamp
+        };
+
+        // The state change is validated on its own; a registration that was
+        // cancelled in the meantime throws here and the step stays failed
+        await transitionRegistration(key, 'paid', {
+            source,
+            fields: { ...paymentFields, orderId, eventId }
+        });
+
+        await paymentRepository.recordConfirmedPayment({
+            registrationId: key,
+            paymentId,
+            orderId,
+            timestamp: paymentTimestamp,
+            uid: registration.uid,
+            userFields: paymentFields,
+            markOrderPaid: !!order
+        });
+    });
+
+    await runStep(paymentId, 'redeemCoupon', () => redeemCouponForOrder(orderId, paymentId).then(() => true));
+
+    // Invoice and email failures are recorded on their step and retried on
+    // the next report of this payment; they must not fail the payment
+    // itself. Without an invoice the confirmation goes out without one.
+    try {
+        await runStep(paymentId, 'issueInvoice', async () => {
+            await issueInvoice({
+                paymentId,
+                orderId,
+                registrationId: key,
+                registration,
+                order: order || { orderAmount: paidAmount },
+                event,
+                issuedAt: paymentTimestamp
+            });
+        });
+    } catch (invoiceError) {
+        logger.error('Invoice could not be issued', { paymentId, orderId, error: invoiceError.message });
+    }
+
+    try {
+        await runStep(paymentId, 'sendEmails', async () => sendConfirmationEmails(registration, key, paymentId, {
+            event: event || await getEvent(registration.eventId),
+            amountPaid: paidAmount,
+            invoice: await getInvoice(paymentId)
+        }));
+    } catch (emailError) {
+        logger.error('Confirmation emails failed', { paymentId, orderId, error: emailError.message });
+    }
+
+    const steps = await paymentRepository.getConfirmationSteps(paymentId);
+    const allDone = ['recordPayment', 'redeemCoupon', 'issueInvoice', 'sendEmails']
+        .every(step => steps[step] && steps[step].status === 'done');
+
+    if (allDone) {
+        await paymentRepository.updateConfirmation(paymentId, {
+            status: 'completed',
+            completedAt: new Date().toISOString()
+        });
+    }
+
+    return { found: true, registrationKey: key, alreadyConfirmed: false };
+}
+
+function paymentOutcome(result) {
+    if (!result.found) return 'not_found';
+    return result.alreadyConfirmed ? 'already_confirmed' : 'confirmed';
+}
+
+// Confirm a captured/authorized payment exactly once. `source` records who
+// reported it ('checkout' or 'webhook'); `amount` (rupees) is only used when
+// the stored order has no amount.
+async function confirmPayment(payment) {
+    const { paymentId, orderId, source } = payment;
+
+    try {
+        const result = await processConfirmation(payment);
+        const outcome = paymentOutcome(result);
+
+        recordPaymentOutcome(outcome, source);
+        logger[outcome === 'not_found' ? 'warn' : 'info']('Payment reported', {
+            paymentId,
+            orderId,
+            source,
+            outcome,
+            registrationId: result.registrationKey
+        });
+        return result;
+    } catch (error) {
+        recordPaymentOutcome('error', source);
+        logger.error('Payment confirmation failed', { paymentId, orderId, source, error });
+        throw error;
+    }
+}
+
+module.exports = {
+    confirmPayment
+};
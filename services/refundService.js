@@ -0,0 +1,377 @@
+// services/refundService.js
+//
+// Refunds go through the payment gateway and are tracked under
+// refunds/{refundId}. The gateway reports the outcome asynchronously via the
+// refund.* webhooks, which land in handleRefundWebhook; registrations, orders
+// and confirmedPayments are only changed from here so they stay in step.
+const refundRepository = require('../repositories/refundRepository');
+const registrationRepository = require('../repositories/registrationRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+const orderRepository = require('../repositories/orderRepository');
+const { getPaymentGateway } = require('../payments');
+const { getEvent, toPaise } = require('./eventService');
+const { sendRefundNotificationEmail } = require('./emailService');
+const { getState, transitionRegistration } = require('./registrationService');
+const { logger } = require('./logger');
+
+const REFUND_STATUSES = ['pending', 'processed', 'failed'];
+const CANCELLATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// A refund never moves back from a final state to pending
+const STATUS_RANK = { pending: 0, processed: 1, failed: 1 };
+
+function refundError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function isValidAmount(amount) {
+    return typeof amount === 'number' && Number.isFinite(amount) && amount > 0 &&
+        roundAmount(amount) === amount;
+}
+
+// Everything we know locally about a confirmed payment
+async function getPaymentContext(paymentId) {
+    const confirmation = await paymentRepository.getConfirmation(paymentId);
+    if (!confirmation) return null;
+
+    const [storedOrder, registration] = await Promise.all([
+        orderRepository.getOrder(confirmation.orderId),
+        registrationRepository.getRegistration(confirmation.registrationKey)
+    ]);
+    const order = storedOrder || {};
+
+    return {
+        paymentId,
+        orderId: confirmation.orderId,
+        registrationKey: confirmation.registrationKey,
+        registration,
+        order,
+        paidAmount: order.orderAmount,
+        currency: order.orderCurrency || 'INR'
+    };
+}
+
+async function listRefunds({ paymentId, status } = {}) {
+    const refunds = await refundRepository.listRefunds({ paymentId });
+
+    return refunds
+        .filter(refund => !status || refund.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function sumRefunds(refunds, statuses) {
+    return roundAmount(refunds
+        .filter(refund => statuses.includes(refund.status))
+        .reduce((total, refund) => total + refund.amount, 0));
+}
+
+// Bring registration, order and confirmedPayments in line with the refunds
+// recorded for a payment
+async function applyRefundsToRecords(context) {
+    const { paymentId, orderId, registrationKey, registration, paidAmount } = context;
+    const refunds = await listRefunds({ paymentId });
+    const refundedAmount = sumRefunds(refunds, ['processed']);
+    const pendingAmount = sumRefunds(refunds, ['pending']);
+    const fullyRefunded = paidAmount !== undefined && refundedAmount >= paidAmount;
+    const now = new Date().toISOString();
+
+    let paymentStatus = 'Confirmed';
+    let orderStatus = 'paid';
+    if (fullyRefunded) {
+        paymentStatus = 'Refunded';
+        orderStatus = 'refunded';
+    } else if (pendingAmount > 0) {
+        paymentStatus = 'Refund Pending';
+    } else if (refundedAmount > 0) {
+        paymentStatus = 'Partially Refunded';
+        orderStatus = 'partially_refunded';
+    }
+
+    const registrationFields = {
+        paymentStatus,
+        paymentConfirmed: !fullyRefunded,
+        refundedAmount,
+        refundUpdatedAt: now
+    };
+
+    await refundRepository.recordPaymentRefunds({
+        orderId,
+        registrationId: registrationKey,
+        uid: registration ? registration.uid : null,
+        orderStatus,
+        refundedAmount,
+        fullyRefunded,
+        registrationFields
+    });
+
+    if (fullyRefunded) {
+        await transitionRegistration(registrationKey, 'refunded', { source: 'refund' });
+    }
+    return { refundedAmount, fullyRefunded };
+}
+
+// Send the refund email once per processed refund. `fullyRefunded` is about
+// the whole payment, which a last partial refund can complete.
+async function notifyRefundProcessed(refund, context, { fullyRefunded }) {
+    const notifiedAt = new Date().toISOString();
+    const claim = await refundRepository.transactRefundNotifiedAt(refund.refundId, (current) => {
+        if (current !== null) return undefined;
+        return notifiedAt;
+    });
+
+    if (!claim.committed || claim.notifiedAt !== notifiedAt || !context.registration) {
+        return;
+    }
+
+    const event = await getEvent(context.registration.eventId || context.order.eventId);
+    const sent = await sendRefundNotificationEmail(context.registration, refund, { event, fullyRefunded });
+
+    // Let a later webhook retry the email
+    if (!sent) {
+        await refundRepository.clearRefundNotifiedAt(refund.refundId);
+    }
+}
+
+// Store (or advance) the local record for a gateway refund and propagate it
+// to the payment's records
+async function recordRefund(entity, details = {}) {
+    const context = await getPaymentContext(entity.paymentId);
+    if (!context) {
+        logger.warn('Refund for unknown payment', { paymentId: entity.paymentId, refundId: entity.id });
+        return null;
+    }
+
+    const now = new Date().toISOString();
+    const amount = roundAmount(entity.amount / 100);
+    const status = details.status || entity.status;
+    const notes = entity.notes || {};
+
+    const result = await refundRepository.transactRefund(entity.id, (current) => {
+        if (current === null) {
+            return {
+                refundId: entity.id,
+                paymentId: entity.paymentId,
+                orderId: context.orderId,
+                registrationKey: context.registrationKey,
+                amount,
+                currency: entity.currency || context.currency,
+                type: context.paidAmount !== undefined && amount >= context.paidAmount ? 'full' : 'partial',
+                status,
+                reason: details.reason || notes.reason || null,
+                requestedBy: details.requestedBy || null,
+                cancellationRequestId: details.cancellationRequestId || notes.cancellationRequestId || null,
+                createdAt: now,
+                updatedAt: now,
+                processedAt: status === 'processed' ? now : null
+            };
+        }
+
+        if (STATUS_RANK[status] < STATUS_RANK[current.status] || status === current.status) {
+            return undefined;
+        }
+
+        current.status = status;
+        current.updatedAt = now;
+        if (status === 'processed') current.processedAt = now;
+        if (status === 'failed') current.failureReason = details.failureReason || null;
+        return current;
+    });
+
+    const refund = result.refund;
+    const { fullyRefunded } = await applyRefundsToRecords(context);
+
+    if (refund.status === 'processed') {
+        await notifyRefundProcessed(refund, context, { fullyRefunded });
+    }
+
+    return refund;
+}
+
+// Admin-initiated refund. Omitting `amount` refunds whatever is left.
+async function createRefund({ paymentId, amount, reason, requestedBy, cancellationRequestId }) {
+    const gateway = getPaymentGateway();
+    if (!gateway.isConfigured()) {
+        throw refundError('Payment system is currently unavailable', 503);
+    }
+
+    const context = await getPaymentContext(paymentId);
+    if (!context) {
+        throw refundError('Confirmed payment not found', 404);
+    }
+
+    const refunds = await listRefunds({ paymentId });
+    const remaining = roundAmount(context.paidAmount - sumRefunds(refunds, ['pending', 'processed']));
+
+    if (!(remaining > 0)) {
+        throw refundError('This payment has already been fully refunded', 409);
+    }
+
+    const refundAmount = amount === undefined ? remaining : amount;
+    if (!isValidAmount(refundAmount)) {
+        throw refundError('amount must be a positive number in rupees with at most 2 decimals');
+    }
+    if (refundAmount > remaining) {
+        throw refundError(`amount cannot exceed the refundable balance of ${remaining}`);
+    }
+
+    const entity = await gateway.refund(paymentId, {
+        amount: toPaise(refundAmount),
+        // Razorpay note values are limited to 256 characters
+        notes: {
+            reason: (reason || '').slice(0, 256),
+            registrationKey: context.registrationKey,
+            cancellationRequestId: cancellationRequestId || ''
+        }
+    });
+
+    return recordRefund(entity, { reason, requestedBy, cancellationRequestId });
+}
+
+const WEBHOOK_STATUS = {
+    'refund.created': 'pending',
+    'refund.processed': 'processed',
+    'refund.failed': 'failed'
+};
+
+function isRefundWebhook(eventType) {
+    return Object.prototype.hasOwnProperty.call(WEBHOOK_STATUS, eventType);
+}
+
+async function handleRefundWebhook(eventType, entity) {
+    return recordRefund(entity, {
+        status: WEBHOOK_STATUS[eventType],
+        failureReason: entity.errorDescription || null
+    });
+}
+
+async function listCancellationRequests({ status } = {}) {
+    const requests = await refundRepository.listCancellationRequests({ status });
+
+    return requests
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Participant asks for their registration to be cancelled and refunded. It
+// is theirs when it was made from their account (`uid`) or, once Firebase
+// has verified it (`emailVerified`), with their email address.
+async function createCancellationRequest({ registrationId, email, emailVerified, uid, reason }) {
+    const registration = await registrationRepository.getRegistration(registrationId);
+    const isOwner = registration && (
+        (registration.uid && registration.uid === uid) ||
+        (emailVerified === true && email && String(registration.email).toLowerCase() === String(email).toLowerCase())
+    );
+
+    if (!isOwner) {
+        throw refundError('Registration not found', 404);
+    }
+
+    if (getState(registration) !== 'paid' || !registration.transactionId) {
+        throw refundError('Only paid registrations can be cancelled', 409);
+    }
+
+    if (registration.cancellationStatus === 'pending') {
+        throw refundError('A cancellation request is already pending', 409);
+    }
+
+    const now = new Date().toISOString();
+    const requestId = refundRepository.newCancellationRequestId();
+    const request = {
+        registrationId,
+        paymentId: registration.transactionId,
+        email: registration.email,
+        requestedBy: uid || null,
+        reason: reason || null,
+        status: 'pending',
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await refundRepository.saveCancellationRequest(requestId, request, {
+        replace: true,
+        registrationId,
+        registrationFields: { cancellationStatus: 'pending', cancellationRequestId: requestId }
+    });
+
+    return { id: requestId, ...request };
+}
+
+async function approveCancellationRequest(requestId, { amount, adminUid }) {
+    const request = await refundRepository.getCancellationRequest(requestId);
+    if (!request) {
+        throw refundError('Cancellation request not found', 404);
+    }
+    if (request.status !== 'pending') {
+        throw refundError(`Cancellation request is already ${request.status}`, 409);
+    }
+
+    const refund = await createRefund({
+        paymentId: request.paymentId,
+        amount,
+        reason: request.reason ? `Cancellation: ${request.reason}` : 'Cancellation requested by participant',
+        requestedBy: adminUid,
+        cancellationRequestId: requestId
+    });
+
+    const now = new Date().toISOString();
+    await refundRepository.saveCancellationRequest(requestId, {
+        status: 'approved',
+        refundId: refund ? refund.refundId : null,
+        reviewedBy: adminUid,
+        updatedAt: now
+    }, {
+        registrationId: request.registrationId,
+        registrationFields: { cancellationStatus: 'approved', cancelledAt: now }
+    });
+
+    // An instant full refund may already have moved it on to refunded
+    const registration = await registrationRepository.getRegistration(request.registrationId);
+    if (registration && getState(registration) === 'paid') {
+        await transitionRegistration(request.registrationId, 'cancelled', {
+            source: 'admin',
+            reason: request.reason || 'Cancellation requested by participant'
+        });
+    }
+
+    return { request: await refundRepository.getCancellationRequest(requestId), refund };
+}
+
+async function rejectCancellationRequest(requestId, { note, adminUid }) {
+    const request = await refundRepository.getCancellationRequest(requestId);
+    if (!request) {
+        throw refundError('Cancellation request not found', 404);
+    }
+    if (request.status !== 'pending') {
+        throw refundError(`Cancellation request is already ${request.status}`, 409);
+    }
+
+    await refundRepository.saveCancellationRequest(requestId, {
+        status: 'rejected',
+        reviewNote: note || null,
+        reviewedBy: adminUid,
+        updatedAt: new Date().toISOString()
+    }, {
+        registrationId: request.registrationId,
+        registrationFields: { cancellationStatus: 'rejected' }
+    });
+
+    return refundRepository.getCancellationRequest(requestId);
+}
+
+module.exports = {
+    REFUND_STATUSES,
+    CANCELLATION_STATUSES,
+    listRefunds,
+    createRefund,
+    isRefundWebhook,
+    handleRefundWebhook,
+    listCancellationRequests,
+    createCancellationRequest,
+    approveCancellationRequest,
+    rejectCancellationRequest
+};
@@ -0,0 +1,253 @@
+// services/registrationService.js
+//
+// A registration moves through these states; every change is appended to
+// its `history` list together with who/what caused it:
+//
+//   draft ──> order_created ──> paid ──> cancelled ──> refunded
+//               │    ^   │        └───────────────────────^
+//               v    │   │
+//             failed ┘   └──> cancelled
+//
+// Registrations are keyed by a push id that is returned to the client, sent
+// to Razorpay in the order notes and stored on orders/{orderId}, so payments
+// and webhooks can always find their registration directly.
+const registrationRepository = require('../repositories/registrationRepository');
+const orderRepository = require('../repositories/orderRepository');
+
+const REGISTRATION_STATES = ['draft', 'order_created', 'paid', 'failed', 'refunded', 'cancelled'];
+
+const TRANSITIONS = {
+    draft: ['order_created', 'cancelled'],
+    // A new order can be created if the participant retries checkout
+    order_created: ['order_created', 'paid', 'failed', 'cancelled'],
+    // Razorpay can still capture a payment after reporting a failure
+    failed: ['order_created', 'paid', 'cancelled'],
+    paid: ['cancelled', 'refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+function registrationError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Registrations created before the lifecycle existed have no status; work
+// it out from the payment fields they do have
+function getState(registration) {
+    if (registration.status) return registration.status;
+    if (registration.paymentStatus === 'Refunded') return 'refunded';
+    if (registration.paymentConfirmed) return 'paid';
+    if (registration.paymentStatus === 'Failed') return 'failed';
+    return registration.orderId ? 'order_created' : 'draft';
+}
+
+async function getRegistration(registrationId) {
+    return registrationRepository.getRegistration(registrationId);
+}
+
+async function createRegistration(data, { uid, source = 'api' } = {}) {
+    const now = new Date().toISOString();
+    const registrationId = registrationRepository.newRegistrationId();
+    const registration = {
+        ...data,
+        registrationId,
+        uid: uid || null,
+        status: 'draft',
+        paymentStatus: 'Pending',
+        timestamp: now,
+        updatedAt: now,
+        history: [{ status: 'draft', at: now, source }]
+    };
+
+    await registrationRepository.saveRegistration(registrationId, registration);
+    return { id: registrationId, ...registration };
+}
+
+// Move a registration to `to`, merging `fields` into it. Moving to the state
+// it is already in is a no-op (so repeated webhooks are harmless), except for
+// order_created, which records the new order. Throws with `status` 404/409.
+async function transitionRegistration(registrationId, to, { source = 'api', reason, fields = {} } = {}) {
+    if (!REGISTRATION_STATES.includes(to)) {
+        throw new Error(`Unknown registration state: ${to}`);
+    }
+
+    const now = new Date().toISOString();
+    let rejectedFrom = null;
+
+    const result = await registrationRepository.transactRegistration(registrationId, (current) => {
+        rejectedFrom = null;
+        if (current === null) return current;
+
+        const from = getState(current);
+        if (from === to && to !== 'order_created') return undefined;
+
+        if (!canTransition(from, to)) {
+            rejectedFrom = from;
+            return undefined;
+        }
+
+        const history = Array.isArray(current.history) ? current.history : Object.values(current.history || {});
+        const entry = { status: to, from, at: now, source };
+        if (reason) entry.reason = reason;
+
+        return {
+            ...current,
+            ...fields,
+            status: to,
+            updatedAt: now,
+            history: [...history, entry]
+        };
+    });
+
+    const { registration } = result;
+    if (!registration) {
+        throw registrationError('Registration not found', 404);
+    }
+    if (rejectedFrom) {
+        throw registrationError(`Cannot move registration from ${rejectedFrom} to ${to}`, 409);
+    }
+
+    return { id: registrationId, ...registration, changed: result.committed };
+}
+
+// Registration that an order was created for. Orders from before the
+// lifecycle existed are matched by the registration's orderId field.
+async function findRegistrationIdByOrder(orderId) {
+    const registrationId = await orderRepository.getOrderRegistrationId(orderId);
+    if (registrationId) return registrationId;
+
+    return registrationRepository.findRegistrationIdByOrderId(orderId);
+}
+
+function isPaid(registration) {
+    return getState(registration) === 'paid';
+}
+
+// Admin listing. Sorting by anything other than timestamp, and the filters
+// RTDB cannot express (status, discount, search), are applied in memory to
+// the narrowest indexed query available: the event if one is given,
+// otherwise the date range.
+const SORT_FIELDS = {
+    timestamp: registration => registration.timestamp || '',
+    fullName: registration => String(registration.fullName || '').toLowerCase(),
+    email: registration => String(registration.email || '').toLowerCase(),
+    amount: registration => Number(registration.orderAmount) || 0
+};
+
+// Registrations are ordered by [sort value, id] so the order is total and a
+// cursor is just the key of the last item on the page
+function sortKey(registration, sort) {
+    return [SORT_FIELDS[sort](registration), registration.id];
+}
+
+function compareKeys([leftValue, leftId], [rightValue, rightId], order) {
+    const direction = order === 'asc' ? 1 : -1;
+    if (leftValue !== rightValue) return (leftValue < rightValue ? -1 : 1) * direction;
+    if (leftId !== rightId) return (leftId < rightId ? -1 : 1) * direction;
+    return 0;
+}
+
+function encodeCursor(registration, sort) {
+    return Buffer.from(JSON.stringify(sortKey(registration, sort))).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Array.isArray(key) && key.length === 2 && typeof key[1] === 'string' ? key : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function matchesFilters(registration, { status, eventId, from, to, discount, couponCode, search }) {
+    if (status && getState(registration) !== status) return false;
+    if (eventId && registration.eventId !== eventId) return false;
+    if (from && !(registration.timestamp >= from)) return false;
+    if (to && !(registration.timestamp < to)) return false;
+    if (discount !== undefined && !!registration.couponCode !== discount) return false;
+    if (couponCode && registration.couponCode !== couponCode) return false;
+
+    if (search) {
+        const needle = search.toLowerCase();
+        const digits = needle.replace(/\D/g, '');
+        const matchesText = [registration.fullName, registration.email]
+            .some(value => String(value || '').toLowerCase().includes(needle));
+        const matchesPhone = digits.length >= 3 &&
+            String(registration.phone || '').replace(/\D/g, '').includes(digits);
+        if (!matchesText && !matchesPhone) return false;
+    }
+
+    return true;
+}
+
+// Every registration matching `filters`, sorted
+async function findRegistrations(filters = {}, { sort = 'timestamp', order = 'desc' } = {}) {
+    const candidates = filters.eventId
+        ? await registrationRepository.findByEventId(filters.eventId)
+        : await registrationRepository.findByTimestamp(filters);
+
+    return candidates
+        .filter(registration => matchesFilters(registration, filters))
+        .sort((a, b) => compareKeys(sortKey(a, sort), sortKey(b, sort), order));
+}
+
+async function listRegistrations(filters = {}, { sort = 'timestamp', order = 'desc', limit = 50, cursor } = {}) {
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+        throw registrationError('Invalid cursor', 400);
+    }
+
+    const inMemory = ['status', 'eventId', 'discount', 'couponCode', 'search']
+        .some(filter => filters[filter] !== undefined);
+    let page;
+
+    if (sort === 'timestamp' && !inMemory) {
+        // Newest/oldest first without filters RTDB can't do: let the database page
+        page = await registrationRepository.pageByTimestamp({
+            from: filters.from,
+            to: filters.to,
+            order,
+            limit,
+            cursor: after
+        });
+    } else {
+        const all = await findRegistrations(filters, { sort, order });
+        const remaining = after
+            ? all.filter(registration => compareKeys(after, sortKey(registration, sort), order) < 0)
+            : all;
+
+        page = { items: remaining.slice(0, limit), hasMore: remaining.length > limit, total: all.length };
+    }
+
+    const last = page.items[page.items.length - 1];
+    return {
+        registrations: page.items,
+        pageInfo: {
+            limit,
+            hasMore: page.hasMore,
+            nextCursor: page.hasMore && last ? encodeCursor(last, sort) : null,
+            total: page.total
+        }
+    };
+}
+
+module.exports = {
+    REGISTRATION_STATES,
+    canTransition,
+    getState,
+    getRegistration,
+    createRegistration,
+    transitionRegistration,
+    findRegistrationIdByOrder,
+    isPaid,
+    SORT_FIELDS,
+    findRegistrations,
+    listRegistrations
+};
@@ -0,0 +1,167 @@
+// services/reminderService.js
+//
+// Sends pre-event reminder emails (with the join link) to every confirmed
+// registrant. Offsets come from the event's `reminderOffsets` or
+// REMINDER_OFFSETS (default "24h,1h"). Each reminder is queued with a
+// dedupeKey and then recorded under
+// reminderDeliveries/{eventId}/{offset}/{registrationKey}, so running the
+// scheduler again never emails anyone twice.
+const reminderRepository = require('../repositories/reminderRepository');
+const registrationRepository = require('../repositories/registrationRepository');
+const { listEvents, formatEventSchedule } = require('./eventService');
+const { buildMailOptions } = require('./emailService');
+const { queueEmail } = require('./mailService');
+const { isPaid } = require('./registrationService');
+const { logger } = require('./logger');
+const { getConfig } = require('../config');
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const OFFSET_PATTERN = /^(\d+)([mhd])$/;
+
+// Closed events take no more registrations but still happen; events that
+// are past are skipped by dueOffset()
+const REMINDER_EVENT_STATUSES = ['published', 'closed'];
+
+function isValidOffset(offset) {
+    return typeof offset === 'string' && OFFSET_PATTERN.test(offset);
+}
+
+function parseOffset(offset) {
+    const [, amount, unit] = offset.match(OFFSET_PATTERN);
+    return Number(amount) * UNIT_MS[unit];
+}
+
+// "23 hours", "45 minutes": based on the actual time left, since a
+// late registrant can get the 24h reminder well after that mark
+function describeTimeLeft(ms) {
+    const minutes = Math.max(Math.round(ms / UNIT_MS.m), 1);
+    if (minutes < 120) {
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+
+    const hours = Math.round(minutes / 60);
+    return `${hours} hours`;
+}
+
+function getDefaultOffsets() {
+    return getConfig().reminderOffsets.filter(isValidOffset);
+}
+
+// The reminder whose window is open right now. When several are open (the
+// scheduler was down, or it is past the 1h mark) only the one closest to the
+// start is sent, so nobody gets two reminders back to back.
+function dueOffset(event, offsets, now) {
+    const startsAt = Date.parse(event.startsAt);
+    if (!(startsAt > now)) return null;
+
+    const open = offsets
+        .filter(offset => now >= startsAt - parseOffset(offset))
+        .sort((a, b) => parseOffset(a) - parseOffset(b));
+
+    return open[0] || null;
+}
+
+async function getConfirmedRegistrants(eventId) {
+    const registrations = await registrationRepository.findByEventId(eventId);
+
+    return registrations
+        .filter(registration => isPaid(registration) && registration.email)
+        .map(({ id, ...registration }) => ({ key: id, ...registration }));
+}
+
+// The outbox dedupeKey is what keeps a registrant from being emailed twice:
+// queueing the same reminder again returns the message already queued. The
+// delivery record is only written once the email is queued, so a failure in
+// between leaves the reminder to be sent on the next run.
+async function sendEventReminders(event, offset, now) {
+    const [registrants, deliveries] = await Promise.all([
+        getConfirmedRegistrants(event.id),
+        reminderRepository.getDeliveries(event.id, offset)
+    ]);
+    const schedule = formatEventSchedule(event);
+    const summary = { sent: 0, alreadySent: 0, failed: 0 };
+
+    for (const registrant of registrants) {
+        if (deliveries[registrant.key]) {
+            summary.alreadySent += 1;
+            continue;
+        }
+
+        const message = buildMailOptions('event-reminder', registrant.email, {
+            participant: registrant,
+            event: { ...event, ...schedule },
+            startsIn: describeTimeLeft(Date.parse(event.startsAt) - now)
+        });
+
+        let result;
+        try {
+            result = await queueEmail(message, {
+                dedupeKey: `reminder-${event.id}-${offset}-${registrant.key}`,
+                context: { type: 'event-reminder', eventId: event.id, offset, registrationKey: registrant.key }
+            });
+        } catch (error) {
+            logger.error('Failed to queue event reminder', { eventId: event.id, offset, registrationKey: registrant.key, error });
+            summary.failed += 1;
+            continue;
+        }
+
+        await reminderRepository.saveDelivery(event.id, offset, registrant.key, {
+            email: registrant.email,
+            status: result.status,
+            messageId: result.id,
+            queuedAt: new Date().toISOString()
+        });
+        summary[result.duplicate ? 'alreadySent' : 'sent'] += 1;
+    }
+
+    return summary;
+}
+
+// One pass over all upcoming events. Safe to run as often as you like.
+async function runReminders({ now = Date.now() } = {}) {
+    const events = (await Promise.all(REMINDER_EVENT_STATUSES.map(status => listEvents({ status })))).flat();
+    const results = [];
+
+    for (const event of events) {
+        const offsets = Array.isArray(event.reminderOffsets) ? event.reminderOffsets : getDefaultOffsets();
+        const due = dueOffset(event, offsets, now);
+        if (!due) continue;
+
+        // Without a join link there is nothing useful to send yet; try again
+        // on the next run once an admin has added it
+        if (!event.joinLink) {
+            logger.warn('Reminders are due but the event has no joinLink', { eventId: event.id });
+            results.push({ eventId: event.id, offset: due, error: 'missing joinLink' });
+            continue;
+        }
+
+        const summary = await sendEventReminders(event, due, now);
+        results.push({ eventId: event.id, offset: due, ...summary });
+    }
+
+    return results;
+}
+
+// Per-offset delivery records for an event, for the admin view
+async function getReminderDeliveries(eventId) {
+    return reminderRepository.getDeliveries(eventId);
+}
+
+let schedulerTimer = null;
+
+function startReminderScheduler({ intervalMs = getConfig().reminderIntervalMs } = {}) {
+    if (schedulerTimer) return schedulerTimer;
+
+    schedulerTimer = setInterval(() => {
+        runReminders().catch(error => logger.error('Reminder scheduler error', { error }));
+    }, intervalMs);
+    schedulerTimer.unref();
+
+    return schedulerTimer;
+}
+
+module.exports = {
+    runReminders,
+    getReminderDeliveries,
+    startReminderScheduler
+};
@@ -0,0 +1,272 @@
+// services/roleService.js
+//
+// Admin access is granted through roles, each a fixed set of permissions.
+// Routes declare the permission they need (requirePermission in
+// middleware/auth.js). A user's roles are kept in three places:
+//   Firebase Auth custom claims  { roles: [...], admin: true }, the source
+//                                of truth checked on every admin request
+//   users/{uid}/roles            copy for the admin UI
+//   adminRoles/{uid}             index of everyone holding a role, used to
+//                                make sure the last owner is never removed
+// Users from before roles existed only have the `admin` claim; they count as
+// owners until their roles are changed.
+const admin = require('firebase-admin');
+const userRepository = require('../repositories/userRepository');
+
+const PERMISSIONS = [
+    'registrations:read',
+    'registrations:export',
+    'attendance:manage',
+    'payments:read',
+    'webhooks:manage',
+    'refunds:manage',
+    'coupons:manage',
+    'events:manage',
+    'email:manage',
+    'inquiries:read',
+    'inquiries:manage',
+    'users:read',
+    'users:manage',
+    'roles:manage',
+    'audit:read',
+    'errors:manage'
+];
+
+const ROLES = {
+    owner: PERMISSIONS,
+    finance: [
+        'registrations:read',
+        'registrations:export',
+        'payments:read',
+        'webhooks:manage',
+        'refunds:manage',
+        'coupons:manage'
+    ],
+    support: [
+        'registrations:read',
+        'attendance:manage',
+        'payments:read',
+        'inquiries:read',
+        'inquiries:manage',
+        'users:read'
+    ],
+    content: [
+        'events:manage',
+        'email:manage',
+        'inquiries:read'
+    ]
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+function roleError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function normalizeRoles(roles) {
+    const list = Array.isArray(roles) ? roles : Object.values(roles || {});
+    return ROLE_NAMES.filter(role => list.includes(role));
+}
+
+function rolesFromClaims(claims = {}) {
+    if (claims.roles) return normalizeRoles(claims.roles);
+    return claims.admin ? ['owner'] : [];
+}
+
+function getPermissions(roles) {
+    return [...new Set(normalizeRoles(roles).flatMap(role => ROLES[role]))];
+}
+
+function hasPermission(roles, permission) {
+    return getPermissions(roles).includes(permission);
+}
+
+// A role can only be handed out (or taken away) by someone who already has
+// every permission it grants
+function canGrant(grantorRoles, role) {
+    const granted = getPermissions(grantorRoles);
+    return (ROLES[role] || []).every(permission => granted.includes(permission));
+}
+
+async function getUserRoles(uid) {
+    // Offline development without Firebase (see middleware/auth.js)
+    if (admin.apps.length === 0) {
+        const user = await userRepository.getUser(uid);
+        if (!user) return [];
+        return user.roles ? normalizeRoles(user.roles) : rolesFromClaims({ admin: user.isAdmin });
+    }
+
+    try {
+        const userRecord = await admin.auth().getUser(uid);
+        return rolesFromClaims(userRecord.customClaims || {});
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') {
+            throw roleError('User not found', 404);
+        }
+        throw error;
+    }
+}
+
+// Replace a user's roles. `actor` ({ uid, roles }) is the admin making the
+// change; leave it out for system changes (initial setup, CLI), which skip
+// the escalation check but still keep an owner around.
+async function setUserRoles(uid, roles, { actor } = {}) {
+    const unknown = (roles || []).filter(role => !ROLE_NAMES.includes(role));
+    if (unknown.length) {
+        throw roleError(`Unknown role(s): ${unknown.join(', ')}. Use: ${ROLE_NAMES.join(', ')}`);
+    }
+
+    const next = normalizeRoles(roles);
+    const previous = await getUserRoles(uid);
+    const changed = ROLE_NAMES.filter(role => previous.includes(role) !== next.includes(role));
+
+    if (actor) {
+        const notAllowed = changed.filter(role => !canGrant(actor.roles, role));
+        if (notAllowed.length) {
+            throw roleError(`You cannot grant or revoke: ${notAllowed.join(', ')}`, 403);
+        }
+    }
+    if (!changed.length) {
+        return next;
+    }
+
+    let lastOwner = false;
+    await userRepository.transactAdminRoles((current) => {
+        const index = { ...(current || {}) };
+        lastOwner = false;
+
+        // Keep owners that predate the index (and so only have the legacy
+        // claim) from being counted out
+        if (actor && actor.uid !== uid && actor.roles.includes('owner') && !index[actor.uid]) {
+            index[actor.uid] = actor.roles;
+        }
+        if (previous.length && !index[uid]) {
+            index[uid] = previous;
+        }
+
+        if (next.length) {
+            index[uid] = next;
+        } else {
+            delete index[uid];
+        }
+
+        const owners = Object.values(index).filter(userRoles => normalizeRoles(userRoles).includes('owner'));
+        if (!owners.length) {
+            lastOwner = true;
+            // Writing back null (rather than aborting) makes RTDB retry with
+            // the stored index when the local cache was just empty
+            return current === null ? null : undefined;
+        }
+        return index;
+    });
+
+    if (lastOwner) {
+        throw roleError('The last owner cannot be removed', 409);
+    }
+
+    if (admin.apps.length > 0) {
+        const userRecord = await admin.auth().getUser(uid);
+        const claims = { ...(userRecord.customClaims || {}), roles: next, admin: next.length > 0 };
+        await admin.auth().setCustomUserClaims(uid, claims);
+    }
+    await userRepository.updateUser(uid, {
+        roles: next.length ? next : null,
+        isAdmin: next.length > 0,
+        updatedAt: new Date().toISOString()
+    });
+
+    return next;
+}
+
+// Owners from before the adminRoles index only have the claim. Looks them up
+// in Firebase Auth and adds them to the index, so the next check is one read.
+// Returns their uids.
+async function indexLegacyOwners() {
+    const owners = {};
+    let pageToken;
+
+    do {
+        const page = await admin.auth().listUsers(1000, pageToken);
+        page.users.forEach((userRecord) => {
+            const roles = rolesFromClaims(userRecord.customClaims || {});
+            if (roles.includes('owner')) owners[userRecord.uid] = roles;
+        });
+        pageToken = page.pageToken;
+    } while (pageToken);
+
+    if (Object.keys(owners).length) {
+        // Entries already in the index are newer than the claims
+        await userRepository.transactAdminRoles(current => ({ ...owners, ...(current || {}) }));
+    }
+    return Object.keys(owners);
+}
+
+// Whether anyone holds the owner role. The index is checked first; only
+// when it has no owner are the Firebase Auth accounts scanned for owners
+// holding just the legacy claim.
+async function ownerExists() {
+    const index = await userRepository.listAdminRoles();
+    if (Object.values(index).some(roles => normalizeRoles(roles).includes('owner'))) {
+        return true;
+    }
+    if (admin.apps.length === 0) {
+        return false;
+    }
+    return (await indexLegacyOwners()).length > 0;
+}
+
+// Throws 409 when `uid` is the only owner whose account is enabled, so
+// disabling or deleting that account would lock everyone out of role
+// management even though the owner role itself is still held.
+async function assertNotLastActiveOwner(uid) {
+    if (admin.apps.length === 0) return;
+
+    const userRecord = await admin.auth().getUser(uid);
+    if (userRecord.disabled || !rolesFromClaims(userRecord.customClaims || {}).includes('owner')) {
+        return;
+    }
+
+    const index = await userRepository.listAdminRoles();
+    let others = Object.keys(index).filter(other => other !== uid && normalizeRoles(index[other]).includes('owner'));
+    if (!others.length) {
+        others = (await indexLegacyOwners()).filter(other => other !== uid);
+    }
+
+    // getUsers() takes at most 100 identifiers per call
+    for (let start = 0; start < others.length; start += 100) {
+        const { users } = await admin.auth().getUsers(others.slice(start, start + 100).map(other => ({ uid: other })));
+        if (users.some(other => !other.disabled && rolesFromClaims(other.customClaims || {}).includes('owner'))) {
+            return;
+        }
+    }
+
+    throw roleError('The last active owner cannot be disabled or deleted', 409);
+}
+
+async function assignRole(uid, role, options) {
+    const roles = await getUserRoles(uid);
+    return setUserRoles(uid, [...roles, role], options);
+}
+
+async function revokeRole(uid, role, options) {
+    const roles = await getUserRoles(uid);
+    return setUserRoles(uid, roles.filter(current => current !== role), options);
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ROLE_NAMES,
+    rolesFromClaims,
+    getPermissions,
+    hasPermission,
+    canGrant,
+    getUserRoles,
+    setUserRoles,
+    ownerExists,
+    assertNotLastActiveOwner,
+    assignRole,
+    revokeRole
+};
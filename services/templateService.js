@@ -0,0 +1,156 @@
+// services/templateService.js
+//
+// Email templates live in templates/emails as Handlebars files:
+//   <name>.html          body, with an optional front matter block for
+//                        `subject` and `layout`
+//   <name>.txt           optional hand-written plain-text part; generated
+//                        from the HTML when missing
+//   <name>.sample.json   sample data used by the admin preview endpoint
+//   layouts/<layout>.html  wrapper rendered around the body via {{{body}}}
+//   partials/<name>.html   available as {{> name}}
+//
+// {{value}} is HTML-escaped; {{{value}}} is only for markup we produced
+// ourselves (rendered bodies), never for user input.
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { convert } = require('html-to-text');
+const { getConfig } = require('../config');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'emails');
+const DEFAULT_LAYOUT = 'default';
+
+const handlebars = Handlebars.create();
+const cache = new Map();
+
+handlebars.registerHelper('money', (amount, currency) => {
+    const symbol = !currency || typeof currency !== 'string' || currency === 'INR' ? '₹' : `${currency} `;
+    return `${symbol}${amount}`;
+});
+
+// Escaped text with line breaks kept, for free-form user messages
+handlebars.registerHelper('multiline', (value) => {
+    const escaped = handlebars.escapeExpression(value == null ? '' : String(value));
+    return new handlebars.SafeString(escaped.replace(/\r?\n/g, '<br>'));
+});
+
+handlebars.registerHelper('digits', value => String(value || '').replace(/\D/g, ''));
+
+function readIfExists(file) {
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// Split a leading `---` block of `key: value` lines off the template source
+function parseFrontMatter(source) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { attributes: {}, body: source };
+
+    const attributes = {};
+    match[1].split(/\r?\n/).forEach((line) => {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            attributes[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+        }
+    });
+
+    return { attributes, body: source.slice(match[0].length) };
+}
+
+function registerPartials() {
+    const partialsDir = path.join(TEMPLATES_DIR, 'partials');
+    if (!fs.existsSync(partialsDir)) return;
+
+    fs.readdirSync(partialsDir)
+        .filter(file => file.endsWith('.html'))
+        .forEach((file) => {
+            const name = path.basename(file, '.html');
+            handlebars.registerPartial(name, fs.readFileSync(path.join(partialsDir, file), 'utf8'));
+        });
+}
+
+// Templates are read once per process; in development they are re-read on
+// every render so copy edits show up in the preview without a restart
+function shouldCache() {
+    return getConfig().appEnv !== 'development';
+}
+
+function loadTemplate(name) {
+    if (!/^[a-z0-9-]+$/.test(name)) return null;
+    if (shouldCache() && cache.has(name)) return cache.get(name);
+
+    const source = readIfExists(path.join(TEMPLATES_DIR, `${name}.html`));
+    if (source === null) return null;
+
+    registerPartials();
+
+    const { attributes, body } = parseFrontMatter(source);
+    const layoutName = attributes.layout || DEFAULT_LAYOUT;
+    const layoutSource = layoutName === 'none'
+        ? '{{{body}}}'
+        : readIfExists(path.join(TEMPLATES_DIR, 'layouts', `${layoutName}.html`));
+
+    if (layoutSource === null) {
+        throw new Error(`Email template "${name}" uses unknown layout "${layoutName}"`);
+    }
+
+    const textSource = readIfExists(path.join(TEMPLATES_DIR, `${name}.txt`));
+    const template = {
+        name,
+        subject: handlebars.compile(attributes.subject || '', { noEscape: true }),
+        html: handlebars.compile(body),
+        layout: handlebars.compile(layoutSource),
+        text: textSource !== null ? handlebars.compile(textSource, { noEscape: true }) : null
+    };
+
+    cache.set(name, template);
+    return template;
+}
+
+function htmlToText(html) {
+    return convert(html, {
+        wordwrap: 78,
+        selectors: [
+            { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+            { selector: 'h2', options: { uppercase: false } },
+            { selector: 'h3', options: { uppercase: false } }
+        ]
+    });
+}
+
+// Render a named template to { subject, html, text }
+function renderEmail(name, data = {}) {
+    const template = loadTemplate(name);
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const body = template.html(data);
+    const html = template.layout({ ...data, body });
+    const text = template.text ? template.text(data) : htmlToText(html);
+
+    return {
+        subject: template.subject(data).trim(),
+        html,
+        text
+    };
+}
+
+function listTemplates() {
+    return fs.readdirSync(TEMPLATES_DIR)
+        .filter(file => file.endsWith('.html'))
+        .map(file => path.basename(file, '.html'))
+        .sort();
+}
+
+function getSampleData(name) {
+    if (!/^[a-z0-9-]+$/.test(name)) return null;
+
+    const sample = readIfExists(path.join(TEMPLATES_DIR, `${name}.sample.json`));
+    return sample ? JSON.parse(sample) : {};
+}
+
+module.exports = {
+    renderEmail,
+    listTemplates,
+    getSampleData
+};
@@ -0,0 +1,245 @@
+// services/ticketService.js
+//
+// Every paid registration gets one ticket, stored at tickets/{registrationId}.
+// A ticket can be presented two ways:
+//   - the QR code, which holds a signed token T1.<registrationId>.<eventId>.<sig>
+//     that is verified with TICKET_SECRET before anything is looked up
+//   - the short code (e.g. 7KQ2-M9XD) for reading out at the door; it is
+//     random-looking and only resolves through ticketCodes/{code}
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { getState } = require('./registrationService');
+const { getConfig } = require('../config');
+const ticketRepository = require('../repositories/ticketRepository');
+const registrationRepository = require('../repositories/registrationRepository');
+
+const TOKEN_VERSION = 'T1';
+// Crockford base32: no I, L, O or U, so codes survive being read aloud
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 8;
+
+function ticketError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function isTicketingConfigured() {
+    return !!getConfig().ticketSecret;
+}
+
+function hmac(value) {
+    if (!isTicketingConfigured()) {
+        throw new Error('TICKET_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', getConfig().ticketSecret).update(value).digest();
+}
+
+function sign(registrationId, eventId) {
+    return hmac(`ticket:${TOKEN_VERSION}:${registrationId}:${eventId}`).subarray(0, 16).toString('base64url');
+}
+
+function createToken(registrationId, eventId) {
+    return [TOKEN_VERSION, registrationId, eventId, sign(registrationId, eventId)].join('.');
+}
+
+// { registrationId, eventId } for a genuine token, otherwise null
+function verifyToken(token) {
+    const parts = String(token || '').trim().split('.');
+    if (parts.length !== 4 || parts[0] !== TOKEN_VERSION) return null;
+
+    const [, registrationId, eventId, signature] = parts;
+    const expected = Buffer.from(sign(registrationId, eventId));
+    const provided = Buffer.from(signature);
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return null;
+    }
+    return { registrationId, eventId };
+}
+
+// Derived from the secret so the same registration gets the same code when
+// issuing is retried; `attempt` moves on to a new code after a collision
+function deriveCode(registrationId, attempt) {
+    const bytes = hmac(`code:${registrationId}:${attempt}`);
+    let code = '';
+    for (let index = 0; index < CODE_LENGTH; index += 1) {
+        code += CODE_ALPHABET[bytes[index] % CODE_ALPHABET.length];
+    }
+    return code;
+}
+
+function normalizeCode(code) {
+    return String(code || '')
+        .toUpperCase()
+        .replace(/[\s-]/g, '')
+        .replace(/O/g, '0')
+        .replace(/[IL]/g, '1');
+}
+
+function formatCode(code) {
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+async function claimCode(registrationId) {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+        const code = deriveCode(registrationId, attempt);
+        const result = await ticketRepository.transactCode(code, (current) => {
+            if (current === null) return registrationId;
+            return undefined;
+        });
+
+        if (result.committed || result.registrationId === registrationId) {
+            return code;
+        }
+    }
+
+    throw new Error(`Could not allocate a ticket code for registration ${registrationId}`);
+}
+
+// Issue the ticket for a registration, or return the one it already has
+async function issueTicket({ registrationId, eventId }) {
+    const existing = await ticketRepository.getTicket(registrationId);
+    if (existing) return existing;
+
+    const code = await claimCode(registrationId);
+    const ticket = {
+        registrationId,
+        eventId,
+        code,
+        issuedAt: new Date().toISOString()
+    };
+
+    const result = await ticketRepository.transactTicket(registrationId, (current) => {
+        if (current === null) return ticket;
+        return undefined;
+    });
+
+    return result.ticket;
+}
+
+// Token, display code and QR image for emails
+async function renderTicket(ticket) {
+    const token = createToken(ticket.registrationId, ticket.eventId);
+    const qrPng = await QRCode.toBuffer(token, { errorCorrectionLevel: 'M', margin: 2, width: 240 });
+
+    return {
+        token,
+        code: formatCode(ticket.code),
+        qrPng
+    };
+}
+
+// Find the ticket for a scanned token or a typed-in short code
+async function resolveTicket({ token, code }) {
+    let registrationId;
+
+    if (token) {
+        const verified = verifyToken(token);
+        if (!verified) {
+            throw ticketError('Invalid ticket', 400);
+        }
+        registrationId = verified.registrationId;
+    } else {
+        registrationId = await ticketRepository.getCodeRegistrationId(normalizeCode(code));
+        if (!registrationId) {
+            throw ticketError('Ticket not found', 404);
+        }
+    }
+
+    const ticket = await ticketRepository.getTicket(registrationId);
+    if (!ticket) {
+        throw ticketError('Ticket not found', 404);
+    }
+    return ticket;
+}
+
+// Mark a ticket as used. Throws 409 (with the earlier check-in time) if it
+// already was, or if the registration is no longer paid.
+async function checkIn({ token, code, eventId, adminUid }) {
+    const ticket = await resolveTicket({ token, code });
+
+    if (eventId && ticket.eventId !== eventId) {
+        throw ticketError('Ticket is for a different event', 409);
+    }
+
+    const registration = await registrationRepository.getRegistration(ticket.registrationId);
+    if (!registration || getState(registration) !== 'paid') {
+        throw ticketError(`Registration is ${registration ? getState(registration) : 'missing'}`, 409);
+    }
+
+    const checkedInAt = new Date().toISOString();
+    const result = await ticketRepository.transactTicket(ticket.registrationId, (current) => {
+        if (current === null) return current;
+        if (current.checkedInAt) return undefined;
+        return { ...current, checkedInAt, checkedInBy: adminUid || null };
+    });
+
+    const stored = result.ticket;
+    if (!stored) {
+        throw ticketError('Ticket not found', 404);
+    }
+    if (!result.committed || stored.checkedInAt !== checkedInAt) {
+        const error = ticketError('Ticket has already been checked in', 409);
+        error.checkedInAt = stored.checkedInAt;
+        throw error;
+    }
+
+    return {
+        ticket: { ...stored, code: formatCode(stored.code) },
+        participant: {
+            fullName: registration.fullName,
+            email: registration.email,
+            phone: registration.phone
+        }
+    };
+}
+
+// Paid registrants of an event next to the tickets that were checked in
+async function getAttendance(eventId) {
+    const [registrations, tickets] = await Promise.all([
+        registrationRepository.findByEventId(eventId),
+        ticketRepository.findByEventId(eventId)
+    ]);
+
+    const rows = registrations
+        .filter(registration => getState(registration) === 'paid' || (tickets[registration.id] && tickets[registration.id].checkedInAt))
+        .map((registration) => {
+            const ticket = tickets[registration.id] || {};
+            return {
+                registrationId: registration.id,
+                fullName: registration.fullName,
+                email: registration.email,
+                phone: registration.phone,
+                status: getState(registration),
+                ticketCode: ticket.code ? formatCode(ticket.code) : null,
+                checkedInAt: ticket.checkedInAt || null
+            };
+        })
+        .sort((a, b) => String(a.fullName || '').localeCompare(String(b.fullName || '')));
+
+    const confirmed = rows.filter(row => row.status === 'paid');
+    const attended = confirmed.filter(row => row.checkedInAt);
+
+    return {
+        eventId,
+        summary: {
+            confirmed: confirmed.length,
+            checkedIn: attended.length,
+            noShows: confirmed.length - attended.length,
+            // Checked in, but cancelled or refunded since
+            checkedInNotConfirmed: rows.filter(row => row.checkedInAt && row.status !== 'paid').length,
+            attendanceRate: confirmed.length ? Math.round((attended.length / confirmed.length) * 1000) / 10 : 0
+        },
+        attendees: rows
+    };
+}
+
+module.exports = {
+    isTicketingConfigured,
+    issueTicket,
+    renderTicket,
+    verifyToken,
+    checkIn,
+    getAttendance
+};
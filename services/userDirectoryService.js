@@ -0,0 +1,225 @@
+// services/userDirectoryService.js
+//
+// The admin list of user accounts: Firebase Auth accounts merged with their
+// users/{uid} profiles. Auth is read a page at a time (listUsers() returns
+// at most 1000 accounts per call) and profiles only for the accounts on the
+// page being returned, in parallel batches.
+const admin = require('firebase-admin');
+const userRepository = require('../repositories/userRepository');
+const { rolesFromClaims } = require('./roleService');
+const { logger } = require('./logger');
+
+// Most listUsers() returns at once
+const AUTH_PAGE_SIZE = 1000;
+
+// Accounts looked at per request. With filters that match few accounts the
+// page comes back short, with a pageToken to carry on from.
+const MAX_SCANNED = 5000;
+
+// Profile reads (and writes) in flight at once
+const PROFILE_BATCH_SIZE = 50;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+function directoryError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function requireFirebaseAuth() {
+    if (admin.apps.length === 0) {
+        throw directoryError('Firebase Auth is not configured', 503);
+    }
+}
+
+// Where the next page starts: a listUsers() page token and how many accounts
+// of that Auth page were already looked at
+function encodePageToken({ authPageToken, skip }) {
+    return Buffer.from(JSON.stringify([authPageToken || null, skip])).toString('base64url');
+}
+
+function decodePageToken(pageToken) {
+    try {
+        const [authPageToken, skip] = JSON.parse(Buffer.from(pageToken, 'base64url').toString('utf8'));
+        if ((authPageToken !== null && typeof authPageToken !== 'string') || !Number.isInteger(skip) || skip < 0) {
+            return null;
+        }
+        return { authPageToken, skip };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Adds the profiles of `uids` to `profiles` (null when there is none). A
+// failed read leaves the uid out, so it is neither shown as missing nor
+// backfilled over.
+async function loadProfiles(uids, profiles = new Map()) {
+    for (let start = 0; start < uids.length; start += PROFILE_BATCH_SIZE) {
+        const batch = uids.slice(start, start + PROFILE_BATCH_SIZE);
+        const results = await Promise.allSettled(batch.map(uid => userRepository.getUser(uid)));
+
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                profiles.set(batch[index], result.value || null);
+            } else {
+                logger.error('Error fetching data for user', { uid: batch[index], error: result.reason });
+            }
+        });
+    }
+    return profiles;
+}
+
+function getAccountRoles(userRecord) {
+    return rolesFromClaims(userRecord.customClaims || {});
+}
+
+function matchesAccount(userRecord, { disabled, verified, isAdmin }) {
+    if (disabled !== undefined && !!userRecord.disabled !== disabled) return false;
+    if (verified !== undefined && !!userRecord.emailVerified !== verified) return false;
+    if (isAdmin !== undefined && (getAccountRoles(userRecord).length > 0) !== isAdmin) return false;
+    return true;
+}
+
+// `needle` is lower case; the name is the Auth display name or, when a
+// profile is given, the profile's full name
+function matchesSearch(userRecord, profile, needle) {
+    return [userRecord.email, userRecord.displayName, profile && profile.fullName]
+        .some(value => String(value || '').toLowerCase().includes(needle));
+}
+
+function toListedUser(userRecord, profile) {
+    const userData = profile || {};
+    return {
+        id: userRecord.uid,
+        email: userRecord.email,
+        fullName: userRecord.displayName || userData.fullName || '',
+        phone: userData.phone || '',
+        disabled: userRecord.disabled || false,
+        emailVerified: userRecord.emailVerified,
+        roles: getAccountRoles(userRecord),
+        createdAt: userData.createdAt || userRecord.metadata.creationTime,
+        lastSignInTime: userRecord.metadata.lastSignInTime,
+        registrations: userData.registrations || []
+    };
+}
+
+// A full email address is looked up directly instead of scanning
+async function findByEmail(email, filters, limit) {
+    let userRecord;
+    try {
+        userRecord = await admin.auth().getUserByEmail(email);
+    } catch (error) {
+        if (error.code !== 'auth/user-not-found') throw error;
+    }
+
+    const users = [];
+    if (userRecord && matchesAccount(userRecord, filters)) {
+        const profiles = await loadProfiles([userRecord.uid]);
+        users.push(toListedUser(userRecord, profiles.get(userRecord.uid)));
+    }
+
+    return {
+        users,
+        pageInfo: { limit, hasMore: false, nextPageToken: null, scanned: userRecord ? 1 : 0 }
+    };
+}
+
+// One page of accounts in Firebase Auth order (by uid). `search` matches
+// the email or name (case-insensitive); `disabled`, `verified` and `isAdmin`
+// (holds any role) are true/false filters. Pass `pageInfo.nextPageToken`
+// back as `pageToken` for the next page; it is null after the last account.
+async function listUsers(filters = {}, { limit = 50, pageToken } = {}) {
+    requireFirebaseAuth();
+
+    let cursor = { authPageToken: null, skip: 0 };
+    if (pageToken) {
+        cursor = decodePageToken(pageToken);
+        if (!cursor) throw directoryError('Invalid page token', 400);
+    }
+
+    const needle = filters.search ? filters.search.trim().toLowerCase() : '';
+    if (!pageToken && EMAIL_PATTERN.test(needle)) {
+        return findByEmail(needle, filters, limit);
+    }
+
+    const profiles = new Map();
+    const found = [];
+    let scanned = 0;
+
+    while (cursor && found.length < limit && scanned < MAX_SCANNED) {
+        const page = await admin.auth().listUsers(AUTH_PAGE_SIZE, cursor.authPageToken || undefined);
+        const records = page.users.slice(cursor.skip);
+
+        // Names that aren't on the Auth account are only in the profile
+        if (needle) {
+            const needProfile = records.filter(record => matchesAccount(record, filters) && !matchesSearch(record, null, needle));
+            await loadProfiles(needProfile.map(record => record.uid), profiles);
+        }
+
+        let taken = 0;
+        for (const record of records) {
+            taken += 1;
+            if (matchesAccount(record, filters) && (!needle || matchesSearch(record, profiles.get(record.uid), needle))) {
+                found.push(record);
+                if (found.length === limit) break;
+            }
+        }
+        scanned += taken;
+
+        cursor = taken < records.length
+            ? { authPageToken: cursor.authPageToken, skip: cursor.skip + taken }
+            : (page.pageToken ? { authPageToken: page.pageToken, skip: 0 } : null);
+    }
+
+    await loadProfiles(found.filter(record => !profiles.has(record.uid)).map(record => record.uid), profiles);
+
+    return {
+        users: found.map(record => toListedUser(record, profiles.get(record.uid))),
+        pageInfo: {
+            limit,
+            hasMore: !!cursor,
+            nextPageToken: cursor ? encodePageToken(cursor) : null,
+            scanned
+        }
+    };
+}
+
+// Create the missing users/{uid} profiles of one page of Auth accounts (e.g.
+// accounts made in the Firebase console) from their Auth data. Call again
+// with `nextPageToken` until it is null. `dryRun` only reports them.
+async function backfillProfiles({ pageToken, dryRun = false } = {}) {
+    requireFirebaseAuth();
+
+    const page = await admin.auth().listUsers(AUTH_PAGE_SIZE, pageToken || undefined);
+    const profiles = await loadProfiles(page.users.map(record => record.uid));
+    const missing = page.users.filter(record => profiles.get(record.uid) === null);
+    const created = [];
+
+    if (!dryRun) {
+        for (let start = 0; start < missing.length; start += PROFILE_BATCH_SIZE) {
+            const batch = missing.slice(start, start + PROFILE_BATCH_SIZE);
+            const results = await Promise.all(batch.map(record => userRepository.createUserIfMissing(record.uid, {
+                fullName: record.displayName || '',
+                email: record.email || '',
+                createdAt: record.metadata.creationTime
+            })));
+            batch.forEach((record, index) => {
+                if (results[index]) created.push(record.uid);
+            });
+        }
+    }
+
+    return {
+        scanned: page.users.length,
+        missing: missing.map(record => record.uid),
+        created,
+        unreadable: page.users.length - profiles.size,
+        nextPageToken: page.pageToken || null
+    };
+}
+
+module.exports = {
+    listUsers,
+    backfillProfiles
+};
@@ -0,0 +1,335 @@
+// services/webhookService.js
+//
+// Payment gateway webhooks. A delivery is only acted on when:
+//   - its signature verifies (timing-safe, see payments/); a missing
+//     signature or webhook secret is a rejection, never a pass
+//   - it is not older than WEBHOOK_MAX_AGE_MS nor dated in the future
+//   - its event id has not been processed already. Gateways deliver at least
+//     once, so a repeat of a processed event is acknowledged and skipped.
+// Verified events are stored with their raw body and signature in
+// webhookEvents/{eventId} so admins can inspect them and replay one whose
+// processing failed. Rejected deliveries are only logged: storing whatever
+// an unauthenticated caller sends would let anyone fill the database.
+const { getPaymentGateway } = require('../payments');
+const webhookEventRepository = require('../repositories/webhookEventRepository');
+const userRepository = require('../repositories/userRepository');
+const { confirmPayment } = require('./paymentConfirmationService');
+const { transitionRegistration, findRegistrationIdByOrder } = require('./registrationService');
+const { isRefundWebhook, handleRefundWebhook } = require('./refundService');
+const { recordPaymentOutcome, recordWebhookEvent } = require('./metrics');
+const { logger, getRequestId } = require('./logger');
+const { getConfig } = require('../config');
+
+const WEBHOOK_EVENT_STATUSES = ['processing', 'processed', 'ignored', 'failed'];
+
+// How far in the future an event may be dated (clock skew)
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// How long an event may stay "processing" before a redelivery or replay may
+// take it over (e.g. the function processing it was killed)
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// `reason` is the label the rejection is counted under in the metrics
+function webhookError(message, status, reason) {
+    const error = new Error(message);
+    error.status = status;
+    error.reason = reason;
+    return error;
+}
+
+function isLeaseActive(event, now) {
+    return event.status === 'processing' && now - Date.parse(event.startedAt) < PROCESSING_LEASE_MS;
+}
+
+function checkEventAge(event, now) {
+    const createdAt = Date.parse(event.createdAt);
+
+    if (Number.isNaN(createdAt)) {
+        throw webhookError('Webhook event has no creation time', 400, 'malformed');
+    }
+    if (now - createdAt > getConfig().webhookMaxAgeMs) {
+        throw webhookError('Webhook event is too old', 400, 'stale');
+    }
+    if (createdAt - now > MAX_CLOCK_SKEW_MS) {
+        throw webhookError('Webhook event is dated in the future', 400, 'stale');
+    }
+}
+
+async function handlePaymentCaptured(event, log) {
+    const payment = event.payment;
+    const confirmation = await confirmPayment({
+        paymentId: payment.id,
+        orderId: payment.orderId,
+        amount: payment.amount / 100,
+        source: 'webhook'
+    });
+
+    if (!confirmation.found) {
+        log.warn('Webhook: registration not found for order');
+        return 'ignored';
+    }
+    if (confirmation.alreadyConfirmed) {
+        log.info('Webhook: payment already confirmed');
+    }
+    return 'processed';
+}
+
+async function handlePaymentFailed(event, log) {
+    const payment = event.payment;
+    const registrationId = await findRegistrationIdByOrder(payment.orderId);
+
+    if (!registrationId) {
+        log.warn('Webhook: registration not found for failed payment order');
+        return 'ignored';
+    }
+
+    const failureFields = {
+        paymentStatus: 'Failed',
+        paymentFailureReason: payment.errorDescription || 'Unknown error',
+        paymentFailureTimestamp: new Date().toISOString()
+    };
+
+    try {
+        const registration = await transitionRegistration(registrationId, 'failed', {
+            source: 'webhook',
+            reason: failureFields.paymentFailureReason,
+            fields: failureFields
+        });
+
+        if (registration.uid) {
+            await userRepository.updateUserRegistration(registration.uid, failureFields);
+        }
+    } catch (error) {
+        // e.g. a later attempt for the same order already succeeded
+        if (error.status !== 409) throw error;
+        log.warn('Webhook: ignoring failed payment', { registrationId, reason: error.message });
+        return 'ignored';
+    }
+
+    recordPaymentOutcome('failed', 'webhook');
+    log.info('Payment failed', { registrationId, reason: failureFields.paymentFailureReason });
+    return 'processed';
+}
+
+async function handleRefund(event, log) {
+    const refund = await handleRefundWebhook(event.type, event.refund);
+
+    if (!refund) {
+        log.warn('Webhook: no confirmed payment found for refund', { refundId: event.refund.id });
+        return 'ignored';
+    }
+    return 'processed';
+}
+
+// Act on a parsed event. Returns 'processed', or 'ignored' for events that
+// don't apply to anything here.
+async function dispatchEvent(event, log) {
+    if (event.type === 'payment.captured' || event.type === 'payment.authorized') {
+        return handlePaymentCaptured(event, log);
+    }
+    if (event.type === 'payment.failed') {
+        return handlePaymentFailed(event, log);
+    }
+    if (isRefundWebhook(event.type)) {
+        return handleRefund(event, log);
+    }
+    return 'ignored';
+}
+
+// Run a claimed event and record the outcome on its stored record
+async function processEvent(event, log) {
+    try {
+        const status = await dispatchEvent(event, log);
+
+        await webhookEventRepository.updateWebhookEvent(event.id, {
+            status,
+            processedAt: new Date().toISOString(),
+            lastError: null
+        });
+        recordWebhookEvent(event.type, status);
+        return status;
+    } catch (error) {
+        await webhookEventRepository.updateWebhookEvent(event.id, {
+            status: 'failed',
+            failedAt: new Date().toISOString(),
+            lastError: error.message || String(error)
+        });
+        recordWebhookEvent(event.type, 'error');
+        throw error;
+    }
+}
+
+function eventLogger(event) {
+    return logger.child({
+        webhookId: event.id,
+        eventType: event.type,
+        paymentId: event.payment ? event.payment.id : undefined,
+        orderId: event.payment ? event.payment.orderId : undefined
+    });
+}
+
+// Verify, store and process one delivery. Returns { eventId, status,
+// duplicate }; throws errors with a status for deliveries that are rejected
+// or that another delivery of the same event is still processing.
+async function receiveWebhook({ rawBody, headers }) {
+    const gateway = getPaymentGateway();
+    const signature = headers[gateway.webhookSignatureHeader];
+
+    try {
+        if (!gateway.isWebhookConfigured()) {
+            throw webhookError('Webhook verification is not configured', 503, 'unconfigured');
+        }
+        if (!signature || !gateway.verifyWebhook(rawBody, headers)) {
+            throw webhookError('Invalid signature', 401, 'invalid_signature');
+        }
+    } catch (error) {
+        recordWebhookEvent('unknown', error.reason);
+        logger[error.status === 503 ? 'error' : 'warn']('Webhook rejected', { gateway: gateway.name, reason: error.reason });
+        throw error;
+    }
+
+    let event;
+    try {
+        event = gateway.parseWebhook(rawBody, headers);
+        if (!event.id || !event.type) {
+            throw webhookError('Webhook event has no id or type', 400, 'malformed');
+        }
+        checkEventAge(event, Date.now());
+    } catch (error) {
+        const rejection = error.reason ? error : webhookError('Webhook body is not valid', 400, 'malformed');
+        recordWebhookEvent(event && event.type, rejection.reason);
+        logger.warn('Webhook rejected', {
+            gateway: gateway.name,
+            reason: rejection.reason,
+            webhookId: event && event.id,
+            eventType: event && event.type
+        });
+        throw rejection;
+    }
+
+    const log = eventLogger(event);
+    const now = Date.now();
+    const startedAt = new Date(now).toISOString();
+
+    const { event: stored } = await webhookEventRepository.transactWebhookEvent(event.id, (current) => {
+        if (current === null) {
+            return {
+                id: event.id,
+                gateway: gateway.name,
+                type: event.type,
+                createdAt: event.createdAt,
+                receivedAt: startedAt,
+                rawBody,
+                signature,
+                status: 'processing',
+                startedAt,
+                attempts: 1,
+                deliveries: 1,
+                requestId: getRequestId()
+            };
+        }
+
+        current.deliveries = (current.deliveries || 0) + 1;
+        current.lastDeliveredAt = startedAt;
+
+        // Processed, ignored or being processed elsewhere: only count it
+        if (current.status !== 'failed' && (current.status !== 'processing' || isLeaseActive(current, now))) {
+            return current;
+        }
+
+        current.status = 'processing';
+        current.startedAt = startedAt;
+        current.attempts = (current.attempts || 0) + 1;
+        return current;
+    });
+
+    if (!stored || stored.status !== 'processing' || stored.startedAt !== startedAt) {
+        recordWebhookEvent(event.type, 'duplicate');
+        log.info('Webhook: duplicate delivery', { status: stored && stored.status });
+
+        if (stored && stored.status === 'processing') {
+            throw webhookError('This event is being processed', 409, 'duplicate');
+        }
+        return { eventId: event.id, status: stored ? stored.status : null, duplicate: true };
+    }
+
+    log.info('Webhook received', { attempt: stored.attempts });
+    const status = await processEvent(event, log);
+    return { eventId: event.id, status, duplicate: false };
+}
+
+function parseStoredEvent(event) {
+    try {
+        return getPaymentGateway().parseWebhook(event.rawBody, {});
+    } catch (error) {
+        return null;
+    }
+}
+
+// A stored event with its raw body and what the gateway adapter parses from it
+async function getWebhookEvent(eventId) {
+    const event = await webhookEventRepository.getWebhookEvent(eventId);
+    return event ? { ...event, parsed: parseStoredEvent(event) } : null;
+}
+
+// Newest first. Filtering by type looks at the latest 500 events only.
+async function listWebhookEvents({ status, type, limit = 50 } = {}) {
+    const events = await webhookEventRepository.listWebhookEvents({ status, limit: type ? 500 : limit });
+    return events.filter(event => !type || event.type === type).slice(0, limit);
+}
+
+// Process a stored event again, e.g. after fixing what made it fail. Its
+// stored signature is checked again so a record edited in the database is
+// not acted on. Age and duplicate checks don't apply.
+async function replayWebhookEvent(eventId, { adminUid } = {}) {
+    const gateway = getPaymentGateway();
+    const existing = await webhookEventRepository.getWebhookEvent(eventId);
+
+    if (!existing) {
+        throw webhookError('Webhook event not found', 404);
+    }
+    if (existing.gateway !== gateway.name) {
+        throw webhookError(`Event was received from ${existing.gateway}, not ${gateway.name}`, 409);
+    }
+    if (!gateway.verifyWebhook(existing.rawBody, { [gateway.webhookSignatureHeader]: existing.signature })) {
+        throw webhookError('Stored event does not match its signature', 409);
+    }
+
+    const now = Date.now();
+    const startedAt = new Date(now).toISOString();
+
+    const { event: claimed } = await webhookEventRepository.transactWebhookEvent(eventId, (current) => {
+        if (current === null) return current;
+        if (isLeaseActive(current, now)) return undefined;
+
+        current.status = 'processing';
+        current.startedAt = startedAt;
+        current.attempts = (current.attempts || 0) + 1;
+        current.replays = [...(current.replays || []), { at: startedAt, by: adminUid || null, requestId: getRequestId() }];
+        return current;
+    });
+
+    if (!claimed || claimed.status !== 'processing' || claimed.startedAt !== startedAt) {
+        throw webhookError('This event is being processed', 409);
+    }
+
+    const event = { ...gateway.parseWebhook(existing.rawBody, {}), id: existing.id };
+    const log = eventLogger(event);
+
+    log.info('Webhook replayed', { adminUid, attempt: claimed.attempts });
+    try {
+        await processEvent(event, log);
+    } catch (error) {
+        log.error('Webhook replay failed', { error });
+    }
+
+    return getWebhookEvent(eventId);
+}
+
+module.exports = {
+    WEBHOOK_EVENT_STATUSES,
+    receiveWebhook,
+    getWebhookEvent,
+    listWebhookEvents,
+    replayWebhookEvent
+};
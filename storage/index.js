@@ -0,0 +1,55 @@
+// storage/index.js
+//
+// Where the data lives, picked with STORAGE_BACKEND:
+//   rtdb (default)  Firebase Realtime Database via firebase-admin
+//   memory          in-process database (storage/memoryDatabase.js), for
+//                   running and testing the backend without Firebase.
+//                   STORAGE_FILE keeps the data in a JSON file between
+//                   restarts; STORAGE_SEED is a JSON file (RTDB export
+//                   format) to start from when there is no data yet.
+//
+// Services and repositories call getDatabase() instead of admin.database();
+// both backends expose the same Reference/Query API.
+const admin = require('firebase-admin');
+const { MemoryDatabase } = require('./memoryDatabase');
+const { getConfig } = require('../config');
+
+const STORAGE_BACKENDS = ['rtdb', 'memory'];
+
+let memoryDatabase = null;
+
+function getStorageBackend() {
+    return getConfig().storageBackend;
+}
+
+function isMemoryStorage() {
+    return getStorageBackend() === 'memory';
+}
+
+function getDatabase() {
+    if (!isMemoryStorage()) {
+        return admin.database();
+    }
+
+    if (!memoryDatabase) {
+        memoryDatabase = new MemoryDatabase({
+            file: getConfig().storageFile,
+            seed: getConfig().storageSeed
+        });
+    }
+    return memoryDatabase;
+}
+
+// With the memory backend, use this database from now on (e.g. a fresh
+// MemoryDatabase per test run)
+function setDatabase(database) {
+    memoryDatabase = database;
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    getStorageBackend,
+    isMemoryStorage,
+    getDatabase,
+    setDatabase
+};
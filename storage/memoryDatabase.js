@@ -0,0 +1,458 @@
+// storage/memoryDatabase.js
+//
+// An in-process stand-in for the Firebase Realtime Database, implementing the
+// part of the admin SDK's Reference/Query/DataSnapshot API this backend uses:
+// ref/child/push/set/update/remove/transaction/once('value') and queries with
+// orderByChild/orderByKey, startAt/startAfter/endAt/endBefore/equalTo and
+// limitToFirst/limitToLast. Ordering and query semantics follow RTDB, so the
+// services behave the same on either backend.
+//
+// The data can be loaded from and saved to a JSON file (the same shape as an
+// RTDB export), which makes it usable for offline development with seed data.
+const fs = require('fs');
+const path = require('path');
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+const MIN_KEY = '[MIN_KEY]';
+const MAX_KEY = '[MAX_KEY]';
+
+function splitPath(pathString) {
+    return String(pathString || '').split('/').filter(Boolean);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// RTDB stores arrays as objects with numeric keys and drops nulls and
+// empty objects
+function normalize(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'object') return value;
+
+    const result = {};
+    Object.entries(value).forEach(([key, child]) => {
+        const normalized = normalize(child);
+        if (normalized !== null) result[key] = normalized;
+    });
+    return Object.keys(result).length ? result : null;
+}
+
+// ...and hands objects with (mostly) sequential integer keys back as arrays
+function denormalize(value) {
+    if (value === null || typeof value !== 'object') return value;
+
+    const keys = Object.keys(value);
+    const result = {};
+    keys.forEach((key) => {
+        result[key] = denormalize(value[key]);
+    });
+
+    const isArrayLike = keys.every(key => /^(0|[1-9]\d*)$/.test(key));
+    const maxIndex = Math.max(...keys.map(Number));
+    if (isArrayLike && maxIndex < keys.length * 2) {
+        const array = new Array(maxIndex + 1).fill(null);
+        keys.forEach((key) => {
+            array[Number(key)] = result[key];
+        });
+        return array;
+    }
+    return result;
+}
+
+function isIntegerKey(key) {
+    return /^-?(0|[1-9]\d{0,9})$/.test(key) && Math.abs(Number(key)) <= 2147483647;
+}
+
+function compareKeys(a, b) {
+    if (a === b) return 0;
+    if (a === MIN_KEY || b === MAX_KEY) return -1;
+    if (b === MIN_KEY || a === MAX_KEY) return 1;
+
+    const aInt = isIntegerKey(a);
+    const bInt = isIntegerKey(b);
+    if (aInt && bInt) return Number(a) - Number(b);
+    if (aInt) return -1;
+    if (bInt) return 1;
+    return a < b ? -1 : 1;
+}
+
+// null < false < true < numbers < strings < objects
+function typeRank(value) {
+    if (value === null || value === undefined) return 0;
+    if (value === false) return 1;
+    if (value === true) return 2;
+    if (typeof value === 'number') return 3;
+    if (typeof value === 'string') return 4;
+    return 5;
+}
+
+function compareValues(a, b) {
+    const rankDifference = typeRank(a) - typeRank(b);
+    if (rankDifference !== 0) return rankDifference;
+    if (typeof a === 'number' || typeof a === 'string') {
+        return a === b ? 0 : a < b ? -1 : 1;
+    }
+    return 0;
+}
+
+function readPath(root, parts) {
+    let node = root;
+    for (const part of parts) {
+        if (node === null || typeof node !== 'object' || !(part in node)) return null;
+        node = node[part];
+    }
+    return node === undefined ? null : node;
+}
+
+let lastPushTime = 0;
+let lastRandomChars = [];
+
+// Chronologically sortable 20-character keys, like Firebase push ids
+function generatePushId() {
+    let now = Date.now();
+    const duplicateTime = now === lastPushTime;
+    lastPushTime = now;
+
+    let id = '';
+    for (let index = 0; index < 8; index += 1) {
+        id = PUSH_CHARS.charAt(now % 64) + id;
+        now = Math.floor(now / 64);
+    }
+
+    if (!duplicateTime) {
+        lastRandomChars = Array.from({ length: 12 }, () => Math.floor(Math.random() * 64));
+    } else {
+        let index = 11;
+        while (index >= 0 && lastRandomChars[index] === 63) {
+            lastRandomChars[index] = 0;
+            index -= 1;
+        }
+        lastRandomChars[index] += 1;
+    }
+
+    return id + lastRandomChars.map(char => PUSH_CHARS.charAt(char)).join('');
+}
+
+class MemoryDataSnapshot {
+    // `children` is an ordered list of [key, value] for query results
+    constructor(key, value, children) {
+        this.key = key;
+        this.value = value === undefined ? null : value;
+        this.orderedChildren = children;
+    }
+
+    val() {
+        return denormalize(clone(this.value));
+    }
+
+    exists() {
+        return this.value !== null;
+    }
+
+    child(childPath) {
+        const parts = splitPath(childPath);
+        return new MemoryDataSnapshot(parts[parts.length - 1], readPath(this.value, parts));
+    }
+
+    hasChildren() {
+        return this.numChildren() > 0;
+    }
+
+    numChildren() {
+        return this.value !== null && typeof this.value === 'object' ? Object.keys(this.value).length : 0;
+    }
+
+    // Calls `action` with each child in order; returning true stops early
+    forEach(action) {
+        const children = this.orderedChildren || (
+            this.value !== null && typeof this.value === 'object'
+                ? Object.keys(this.value).sort(compareKeys).map(key => [key, this.value[key]])
+                : []
+        );
+
+        for (const [key, value] of children) {
+            if (action(new MemoryDataSnapshot(key, value)) === true) return true;
+        }
+        return false;
+    }
+
+    toJSON() {
+        return this.val();
+    }
+}
+
+class MemoryQuery {
+    constructor(database, parts, params = {}) {
+        this.database = database;
+        this.parts = parts;
+        this.params = params;
+    }
+
+    withParams(changes) {
+        return new MemoryQuery(this.database, this.parts, { ...this.params, ...changes });
+    }
+
+    orderByChild(childPath) {
+        return this.withParams({ orderBy: 'child', childPath: splitPath(childPath) });
+    }
+
+    orderByKey() {
+        return this.withParams({ orderBy: 'key' });
+    }
+
+    orderByValue() {
+        return this.withParams({ orderBy: 'value' });
+    }
+
+    startAt(value = null, key) {
+        return this.withParams({ start: { value, key: key === undefined ? MIN_KEY : key, inclusive: true } });
+    }
+
+    startAfter(value = null, key) {
+        return this.withParams({ start: { value, key: key === undefined ? MAX_KEY : key, inclusive: false } });
+    }
+
+    endAt(value = null, key) {
+        return this.withParams({ end: { value, key: key === undefined ? MAX_KEY : key, inclusive: true } });
+    }
+
+    endBefore(value = null, key) {
+        return this.withParams({ end: { value, key: key === undefined ? MIN_KEY : key, inclusive: false } });
+    }
+
+    equalTo(value, key) {
+        return this.startAt(value, key).endAt(value, key);
+    }
+
+    limitToFirst(limit) {
+        return this.withParams({ limit, limitFrom: 'first' });
+    }
+
+    limitToLast(limit) {
+        return this.withParams({ limit, limitFrom: 'last' });
+    }
+
+    sortValue(key, value) {
+        if (this.params.orderBy === 'child') return readPath(value, this.params.childPath);
+        if (this.params.orderBy === 'value') return value;
+        return key;
+    }
+
+    compare([leftKey, leftValue], [rightKey, rightValue]) {
+        if (this.params.orderBy === 'child' || this.params.orderBy === 'value') {
+            const difference = compareValues(leftValue, rightValue);
+            if (difference !== 0) return difference;
+        }
+        return compareKeys(leftKey, rightKey);
+    }
+
+    matches(entry) {
+        const { start, end } = this.params;
+        const position = [entry[0], this.sortValue(entry[0], entry[1])];
+
+        if (start) {
+            const bound = this.params.orderBy === 'key' || !this.params.orderBy ? [start.value, start.value] : [start.key, start.value];
+            const difference = this.compare(position, bound);
+            if (difference < 0 || (difference === 0 && !start.inclusive)) return false;
+        }
+        if (end) {
+            const bound = this.params.orderBy === 'key' || !this.params.orderBy ? [end.value, end.value] : [end.key, end.value];
+            const difference = this.compare(position, bound);
+            if (difference > 0 || (difference === 0 && !end.inclusive)) return false;
+        }
+        return true;
+    }
+
+    getChildren() {
+        const node = readPath(this.database.root, this.parts);
+        if (node === null || typeof node !== 'object') return [];
+
+        let children = Object.entries(node)
+            .filter(entry => this.matches(entry))
+            .sort((left, right) => this.compare(
+                [left[0], this.sortValue(left[0], left[1])],
+                [right[0], this.sortValue(right[0], right[1])]
+            ));
+
+        if (this.params.limit !== undefined) {
+            children = this.params.limitFrom === 'last'
+                ? children.slice(Math.max(children.length - this.params.limit, 0))
+                : children.slice(0, this.params.limit);
+        }
+        return children;
+    }
+
+    async once(eventType = 'value') {
+        if (eventType !== 'value') {
+            throw new Error(`Memory database only supports once('value'), not '${eventType}'`);
+        }
+
+        const key = this.parts.length ? this.parts[this.parts.length - 1] : null;
+        const children = this.getChildren();
+        const value = children.length ? Object.fromEntries(children.map(([childKey, child]) => [childKey, clone(child)])) : null;
+        return new MemoryDataSnapshot(key, value, children.map(([childKey, child]) => [childKey, clone(child)]));
+    }
+
+    get ref() {
+        return new MemoryReference(this.database, this.parts);
+    }
+}
+
+class MemoryReference extends MemoryQuery {
+    constructor(database, parts) {
+        super(database, parts);
+        this.key = parts.length ? parts[parts.length - 1] : null;
+    }
+
+    get ref() {
+        return this;
+    }
+
+    get parent() {
+        return this.parts.length ? new MemoryReference(this.database, this.parts.slice(0, -1)) : null;
+    }
+
+    child(childPath) {
+        return new MemoryReference(this.database, [...this.parts, ...splitPath(childPath)]);
+    }
+
+    // With a value this writes it too and, like Firebase's ThenableReference,
+    // the returned reference can be awaited
+    push(value) {
+        const key = generatePushId();
+        const reference = this.child(key);
+        if (value === undefined) return reference;
+
+        const written = reference.set(value).then(() => this.child(key));
+        reference.then = written.then.bind(written);
+        reference.catch = written.catch.bind(written);
+        return reference;
+    }
+
+    async once(eventType = 'value') {
+        if (Object.keys(this.params).length) {
+            return super.once(eventType);
+        }
+        if (eventType !== 'value') {
+            throw new Error(`Memory database only supports once('value'), not '${eventType}'`);
+        }
+        return new MemoryDataSnapshot(this.key, clone(readPath(this.database.root, this.parts)));
+    }
+
+    async set(value) {
+        this.database.write(this.parts, value);
+    }
+
+    // Multi-path update: keys are paths relative to this reference
+    async update(values) {
+        Object.entries(values || {}).forEach(([childPath, value]) => {
+            this.database.write([...this.parts, ...splitPath(childPath)], value, { defer: true });
+        });
+        this.database.changed();
+    }
+
+    async remove() {
+        this.database.write(this.parts, null);
+    }
+
+    // Runs `update` once against the current value; nothing else can change
+    // it in between since everything happens in this process
+    async transaction(update) {
+        const current = readPath(this.database.root, this.parts);
+        const next = update(denormalize(clone(current)));
+
+        if (next === undefined) {
+            return { committed: false, snapshot: new MemoryDataSnapshot(this.key, clone(current)) };
+        }
+
+        this.database.write(this.parts, next);
+        return {
+            committed: true,
+            snapshot: new MemoryDataSnapshot(this.key, clone(readPath(this.database.root, this.parts)))
+        };
+    }
+
+    toString() {
+        return `memory:/${this.parts.join('/')}`;
+    }
+}
+
+class MemoryDatabase {
+    // `file`: JSON file the data is loaded from and saved to
+    // `seed`: JSON file (or object) to start from when `file` doesn't exist yet
+    constructor({ file, seed } = {}) {
+        this.file = file || null;
+        this.root = null;
+        this.saveTimer = null;
+
+        if (this.file && fs.existsSync(this.file)) {
+            this.root = normalize(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+        } else if (seed) {
+            this.root = normalize(typeof seed === 'string' ? JSON.parse(fs.readFileSync(seed, 'utf8')) : seed);
+        }
+    }
+
+    ref(pathString) {
+        return new MemoryReference(this, splitPath(pathString));
+    }
+
+    write(parts, value, { defer = false } = {}) {
+        const normalized = normalize(clone(value));
+
+        if (!parts.length) {
+            this.root = normalized;
+        } else {
+            if (this.root === null || typeof this.root !== 'object') this.root = {};
+
+            const ancestors = [this.root];
+            let node = this.root;
+            parts.slice(0, -1).forEach((part) => {
+                if (node[part] === null || typeof node[part] !== 'object') node[part] = {};
+                node = node[part];
+                ancestors.push(node);
+            });
+
+            const last = parts[parts.length - 1];
+            if (normalized === null) delete node[last];
+            else node[last] = normalized;
+
+            // Parents left empty by a delete disappear too
+            for (let index = ancestors.length - 1; index > 0 && !Object.keys(ancestors[index]).length; index -= 1) {
+                delete ancestors[index - 1][parts[index - 1]];
+            }
+            if (!Object.keys(this.root).length) this.root = null;
+        }
+
+        if (!defer) this.changed();
+    }
+
+    changed() {
+        if (!this.file || this.saveTimer) return;
+
+        // Batch bursts of writes into one save
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 100);
+        this.saveTimer.unref();
+    }
+
+    save() {
+        if (!this.file) return;
+
+        const temporary = `${this.file}.tmp`;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(temporary, JSON.stringify(this.root || {}, null, 2));
+        fs.renameSync(temporary, this.file);
+    }
+
+    toJSON() {
+        return clone(this.root);
+    }
+}
+
+module.exports = {
+    MemoryDatabase,
+    generatePushId
+};